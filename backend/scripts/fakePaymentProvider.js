@@ -0,0 +1,38 @@
+/**
+ * Stand-in for an external payment provider, for local/integration testing of
+ * the `http` payment adapter (PAYMENT_PROVIDER=http).
+ *
+ *   PAYMENT_WEBHOOK_SECRET=s3cret node scripts/fakePaymentProvider.js
+ *
+ * Every deposit/withdrawal is accepted as 'pending'; FAKE_SETTLE_MS later the
+ * callbackUrl receives a signed { providerRef, status } webhook. Amounts ending
+ * in 13 are declined ('failed') to exercise the failure path.
+ */
+const crypto = require('crypto');
+const express = require('express');
+
+const PORT = process.env.FAKE_PROVIDER_PORT || 4100;
+const SECRET = process.env.PAYMENT_WEBHOOK_SECRET || '';
+const SETTLE_MS = Number(process.env.FAKE_SETTLE_MS) || 2000;
+
+const app = express();
+app.use(express.json());
+
+function accept(req, res){
+  const id = `fake_${crypto.randomBytes(6).toString('hex')}`;
+  const status = Number(req.body.amount) % 100 === 13 ? 'failed' : 'succeeded';
+  res.json({ id, status: 'pending' });
+  setTimeout(async ()=>{
+    const body = JSON.stringify({ providerRef: id, status });
+    const signature = crypto.createHmac('sha256', SECRET).update(body).digest('hex');
+    try{
+      const r = await fetch(req.body.callbackUrl, { method: 'POST', headers: { 'content-type': 'application/json', 'x-payment-signature': signature }, body });
+      console.log('webhook', id, status, '->', r.status);
+    }catch(e){ console.error('webhook failed', id, e.message); }
+  }, SETTLE_MS);
+}
+
+app.post('/deposits', accept);
+app.post('/withdrawals', accept);
+
+app.listen(PORT, ()=> console.log('fake payment provider on', PORT));
@@ -0,0 +1,11 @@
+/**
+ * Recompute player_stats / player_stats_daily from finished wheels and
+ * tournaments (see src/stats.js).
+ */
+const { pool } = require('../src/db');
+const stats = require('../src/stats');
+
+stats.rebuild()
+  .then(done=> console.log(`rebuilt stats from ${done.wheels} wheels and ${done.tournaments} tournaments`))
+  .catch(e=>{ console.error(e); process.exitCode = 1; })
+  .finally(()=> pool.end());
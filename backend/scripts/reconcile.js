@@ -0,0 +1,13 @@
+/**
+ * Print the ledger reconciliation report; exits non-zero if it does not balance.
+ */
+const { pool } = require('../src/db');
+const ledger = require('../src/ledger');
+
+ledger.reconcile()
+  .then(report=>{
+    console.log(JSON.stringify(report, null, 2));
+    if(!report.ok) process.exitCode = 1;
+  })
+  .catch(e=>{ console.error(e); process.exitCode = 1; })
+  .finally(()=> pool.end());
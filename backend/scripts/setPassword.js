@@ -0,0 +1,19 @@
+/**
+ * Set (or reset) a user's password: node scripts/setPassword.js <username> <password>
+ */
+const { pool, query } = require('../src/db');
+const { hashPassword } = require('../src/auth');
+
+async function main(){
+  const [username, password] = process.argv.slice(2);
+  if(!username || !password){
+    console.error('usage: node scripts/setPassword.js <username> <password>');
+    process.exit(1);
+  }
+  const r = await query('UPDATE users SET password_hash=$1 WHERE username=$2', [hashPassword(password), username]);
+  if(!r.rowCount){ console.error('no such user', username); process.exitCode = 1; }
+  else console.log('password set for', username);
+  await pool.end();
+}
+
+main().catch(e=>{ console.error(e); process.exit(1); });
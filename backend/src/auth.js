@@ -0,0 +1,108 @@
+/**
+ * Authentication helpers: password hashing, signed session tokens and the
+ * Express / Socket.IO middleware that derive the acting user from them.
+ *
+ * Tokens are `<base64url(payload)>.<base64url(HMAC-SHA256(payload))>` with
+ * payload `{sub, username, exp}` signed with AUTH_SECRET.
+ */
+const crypto = require('crypto');
+const { query } = require('./db');
+
+const TOKEN_TTL_MS = Number(process.env.AUTH_TOKEN_TTL_MS) || 12 * 3600 * 1000;
+let SECRET = process.env.AUTH_SECRET;
+if(!SECRET){
+  // dev fallback: tokens stop validating when the process restarts
+  SECRET = crypto.randomBytes(32).toString('hex');
+  console.warn('AUTH_SECRET not set; using a random per-process secret');
+}
+
+function hashPassword(password){
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(String(password), salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored){
+  if(!stored) return false;
+  const [algo, salt, hash] = stored.split('$');
+  if(algo!=='scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function sign(data){ return crypto.createHmac('sha256', SECRET).update(data).digest('base64url'); }
+
+function issueToken(user){
+  const payload = { sub: user.id, username: user.username, exp: Date.now() + TOKEN_TTL_MS };
+  const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${data}.${sign(data)}`;
+}
+
+/**
+ * Returns the token payload, or null if the token is malformed, forged or expired.
+ */
+function verifyToken(token){
+  if(typeof token!=='string') return null;
+  const [data, sig] = token.split('.');
+  if(!data || !sig) return null;
+  const expected = Buffer.from(sign(data));
+  const given = Buffer.from(sig);
+  if(expected.length!==given.length || !crypto.timingSafeEqual(expected, given)) return null;
+  try{
+    const payload = JSON.parse(Buffer.from(data, 'base64url').toString());
+    if(!payload.exp || payload.exp < Date.now()) return null;
+    return payload;
+  }catch(e){ return null; }
+}
+
+function bearerToken(req){
+  const h = req.headers.authorization || '';
+  return h.startsWith('Bearer ') ? h.slice(7) : null;
+}
+
+/**
+ * Express middleware: loads the user named by the bearer token into req.user.
+ */
+async function requireAuth(req, res, next){
+  try{
+    const payload = verifyToken(bearerToken(req));
+    if(!payload) return res.status(401).json({error:'unauthenticated'});
+    const r = await query('SELECT id, username, coins, is_admin FROM users WHERE id=$1', [payload.sub]);
+    if(!r.rowCount) return res.status(401).json({error:'unauthenticated'});
+    req.user = r.rows[0];
+    next();
+  }catch(e){ next(e); }
+}
+
+/**
+ * Express middleware for services without the SQL users table (the Prisma
+ * wheel): trusts the verified token payload as req.user = {id, username}.
+ */
+function requireToken(req, res, next){
+  const payload = verifyToken(bearerToken(req));
+  if(!payload) return res.status(401).json({error:'unauthenticated'});
+  req.user = { id: payload.sub, username: payload.username };
+  next();
+}
+
+/**
+ * Express middleware (after requireAuth): only admins pass.
+ */
+function requireAdmin(req, res, next){
+  if(!req.user || !req.user.is_admin) return res.status(403).json({error:'only admin'});
+  next();
+}
+
+/**
+ * Socket.IO middleware: the handshake must carry `auth: {token}`; the verified
+ * identity is exposed as socket.data.user and payload ids are never trusted.
+ */
+function socketAuth(socket, next){
+  const payload = verifyToken(socket.handshake.auth && socket.handshake.auth.token);
+  if(!payload) return next(new Error('unauthenticated'));
+  socket.data.user = { id: payload.sub, username: payload.username };
+  next();
+}
+
+module.exports = { hashPassword, verifyPassword, issueToken, verifyToken, bearerToken, requireAuth, requireToken, requireAdmin, socketAuth };
@@ -0,0 +1,150 @@
+/**
+ * Per-wheel chat over Socket.IO (see migrations/011_chat.sql).
+ *
+ * Anyone watching a wheel room can read it — players and non-paying
+ * spectators alike. Posting is rate limited per user, message bodies are
+ * masked against the blocklist before they are stored, and admins can delete
+ * messages, mute users (no posting) or ban them from the wheel room.
+ *
+ * Socket events (all acked with {success, ...} / {success:false, message};
+ * payloads failing their schema get code 'invalid_input', see validate.js):
+ * - 'chat:send' {wheelId, body}             -> room gets 'chat:message'
+ * - 'chat:history' {wheelId, beforeId?}     -> ack {messages} (oldest first)
+ * - 'chat:delete' {wheelId, messageId}      (admin) -> room gets 'chat:deleted'
+ * - 'chat:mute' {wheelId, userId, minutes?} (admin) -> room gets 'chat:sanction'
+ * - 'chat:ban' {wheelId, userId, minutes?}  (admin) -> banned sockets leave the room
+ */
+const { query } = require('./db');
+const v = require('./validate');
+
+const MAX_LENGTH = 500;
+const HISTORY_PAGE = 50;
+// at most RATE_COUNT messages per RATE_WINDOW_MS, and one per MIN_GAP_MS
+const RATE_COUNT = 5;
+const RATE_WINDOW_MS = 10000;
+const MIN_GAP_MS = 500;
+const BLOCKLIST_REFRESH_MS = 60000;
+const MAX_SANCTION_MINUTES = 365 * 24 * 60;
+
+const rowId = v.int({min: 1});
+const sanctionPayload = v.object({wheelId: rowId, userId: rowId, minutes: v.int({min: 1, max: MAX_SANCTION_MINUTES, optional: true})});
+
+module.exports = function (io, { wheelRoom }) {
+  const recent = new Map(); // userId -> timestamps of recent posts
+  const sweep = setInterval(()=> {
+    const now = Date.now();
+    for(const [userId, times] of recent) if(now - times[times.length-1] >= RATE_WINDOW_MS) recent.delete(userId);
+  }, 60000);
+  sweep.unref();
+  let blocklist = { pattern: null, loadedAt: 0 };
+
+  function rateLimited(userId){
+    const now = Date.now();
+    const times = (recent.get(userId) || []).filter(t=> now - t < RATE_WINDOW_MS);
+    const limited = times.length >= RATE_COUNT || (times.length && now - times[times.length-1] < MIN_GAP_MS);
+    if(!limited) times.push(now);
+    recent.set(userId, times);
+    return limited;
+  }
+
+  async function blockPattern(){
+    if(Date.now() - blocklist.loadedAt > BLOCKLIST_REFRESH_MS){
+      const r = await query('SELECT word FROM chat_blocklist');
+      const words = r.rows.map(w=> w.word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+      blocklist = { pattern: words.length ? new RegExp(`\\b(${words.join('|')})\\b`, 'gi') : null, loadedAt: Date.now() };
+    }
+    return blocklist.pattern;
+  }
+
+  async function filterBody(body){
+    const pattern = await blockPattern();
+    return pattern ? body.replace(pattern, w=> '*'.repeat(w.length)) : body;
+  }
+
+  /**
+   * Active sanction of `kind` for a user in a wheel, or null.
+   */
+  async function sanction(wheelId, userId, kind){
+    const r = await query(`SELECT until FROM chat_sanctions WHERE wheel_id=$1 AND user_id=$2 AND kind=$3
+      AND (until IS NULL OR until > now())`, [wheelId, userId, kind]);
+    return r.rows[0] || null;
+  }
+
+  async function isBanned(wheelId, userId){
+    return !!await sanction(wheelId, userId, 'ban');
+  }
+
+  async function requireAdmin(userId){
+    const r = await query('SELECT is_admin FROM users WHERE id=$1', [userId]);
+    if(!r.rowCount || !r.rows[0].is_admin) throw new Error('only admin');
+  }
+
+  async function impose(wheelId, userId, kind, minutes, adminId){
+    const until = minutes ? new Date(Date.now() + Number(minutes) * 60000) : null;
+    await query(`INSERT INTO chat_sanctions (wheel_id, user_id, kind, until, created_by) VALUES ($1,$2,$3,$4,$5)
+      ON CONFLICT (wheel_id, user_id, kind) DO UPDATE SET until=EXCLUDED.until, created_by=EXCLUDED.created_by, created_at=now()`,
+      [wheelId, userId, kind, until, adminId]);
+    io.to(wheelRoom(wheelId)).emit('chat:sanction', {wheelId, userId, kind, until});
+    return until;
+  }
+
+  // wraps a handler taking the payload checked against `schema`: ack(result)
+  // on success, ack({success:false}) on error
+  function handle(socket, event, schema, fn){
+    socket.on(event, v.validated(schema, async (payload, ack) => {
+      const reply = typeof ack==='function' ? ack : ()=>{};
+      try{ reply({success:true, ...(await fn(payload))}); }
+      catch(e){ reply({success:false, message:e.message}); }
+    }));
+  }
+
+  function register(socket){
+    const user = socket.data.user;
+
+    handle(socket, 'chat:send', v.object({wheelId: rowId, body: v.string({max: MAX_LENGTH})}), async ({wheelId, body: text})=> {
+      if(!socket.rooms.has(wheelRoom(wheelId))) throw new Error('not watching this wheel');
+      if(await sanction(wheelId, user.id, 'ban')) throw new Error('banned from this wheel');
+      if(await sanction(wheelId, user.id, 'mute')) throw new Error('muted');
+      if(rateLimited(user.id)) throw new Error('slow down');
+      const r = await query('INSERT INTO chat_messages (wheel_id, user_id, body) VALUES ($1,$2,$3) RETURNING id, wheel_id, user_id, body, created_at',
+        [wheelId, user.id, await filterBody(text)]);
+      const message = {...r.rows[0], username: user.username};
+      io.to(wheelRoom(wheelId)).emit('chat:message', message);
+      return {message};
+    });
+
+    handle(socket, 'chat:history', v.object({wheelId: rowId, beforeId: v.int({min: 1, optional: true})}), async ({wheelId, beforeId})=> {
+      if(await isBanned(wheelId, user.id)) throw new Error('banned from this wheel');
+      const r = await query(`SELECT m.id, m.wheel_id, m.user_id, u.username, m.body, m.created_at FROM chat_messages m
+        JOIN users u ON u.id=m.user_id
+        WHERE m.wheel_id=$1 AND m.deleted_at IS NULL AND ($2::int IS NULL OR m.id < $2)
+        ORDER BY m.id DESC LIMIT $3`, [wheelId, beforeId || null, HISTORY_PAGE]);
+      return {messages: r.rows.reverse()};
+    });
+
+    handle(socket, 'chat:delete', v.object({wheelId: rowId, messageId: rowId}), async ({wheelId, messageId})=> {
+      await requireAdmin(user.id);
+      const r = await query('UPDATE chat_messages SET deleted_at=now(), deleted_by=$1 WHERE id=$2 AND wheel_id=$3 AND deleted_at IS NULL',
+        [user.id, messageId, wheelId]);
+      if(!r.rowCount) throw new Error('message not found');
+      io.to(wheelRoom(wheelId)).emit('chat:deleted', {wheelId, messageId});
+      return {};
+    });
+
+    handle(socket, 'chat:mute', sanctionPayload, async ({wheelId, userId, minutes})=> {
+      await requireAdmin(user.id);
+      return {until: await impose(wheelId, userId, 'mute', minutes, user.id)};
+    });
+
+    handle(socket, 'chat:ban', sanctionPayload, async ({wheelId, userId, minutes})=> {
+      await requireAdmin(user.id);
+      const until = await impose(wheelId, userId, 'ban', minutes, user.id);
+      // remove the user's sockets from the room on every node
+      const sockets = await io.in(wheelRoom(wheelId)).fetchSockets();
+      sockets.filter(s=> s.data.user && s.data.user.id===userId).forEach(s=> s.leave(wheelRoom(wheelId)));
+      return {until};
+    });
+  }
+
+  return { register, isBanned };
+};
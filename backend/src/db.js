@@ -0,0 +1,13 @@
+/**
+ * Shared PostgreSQL pool used by the SQL backend (index.js and its helpers).
+ */
+const { Pool } = require('pg');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+async function query(text, params){ return pool.query(text, params); }
+
+module.exports = { pool, query };
@@ -0,0 +1,95 @@
+/**
+ * Commit–reveal primitives shared by the Prisma wheel (gameService) and the SQL
+ * elimination loop (index.js).
+ *
+ * A wheel gets a secret server seed at creation and only H(seed) is published.
+ * Every random decision is HMAC-SHA256(seed, nonce) mapped onto the options, so
+ * once the seed is revealed anyone can recompute each outcome and check it
+ * against the committed hash.
+ */
+const crypto = require('crypto');
+
+function generateSeed(){
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function hashSeed(seed){
+  return crypto.createHash('sha256').update(seed).digest('hex');
+}
+
+let seedKey = null;
+function sealKey(){
+  if(!seedKey){
+    let secret = process.env.SEED_ENCRYPTION_KEY;
+    if(!secret){
+      // dev fallback: seeds sealed by this process cannot be opened after a restart
+      secret = crypto.randomBytes(32).toString('hex');
+      console.warn('SEED_ENCRYPTION_KEY not set; using a random per-process key');
+    }
+    seedKey = crypto.createHash('sha256').update(secret).digest();
+  }
+  return seedKey;
+}
+
+/**
+ * Encrypt a server seed (AES-256-GCM, SEED_ENCRYPTION_KEY) so it can be
+ * stored with its wheel until the reveal. openSeed returns null for a value
+ * it cannot decrypt (other key, tampered).
+ */
+function sealSeed(seed){
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', sealKey(), iv);
+  const data = Buffer.concat([cipher.update(seed, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map(b=> b.toString('base64')).join('.');
+}
+
+function openSeed(sealed){
+  try{
+    const [iv, tag, data] = String(sealed).split('.').map(p=> Buffer.from(p, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', sealKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+  }catch(e){
+    return null;
+  }
+}
+
+function roundHmac(serverSeed, nonce){
+  return crypto.createHmac('sha256', serverSeed).update(String(nonce)).digest('hex');
+}
+
+function deterministicSpinIndex(serverSeed, nonce, segments) {
+  // serverSeed: hex string, nonce: integer
+  // create HMAC: HMAC-SHA256(serverSeed, nonce)
+  const h = roundHmac(serverSeed, nonce);
+  const num = parseInt(h.slice(0, 15), 16); // large number
+  // map to weighted segments: segments is array [{ label, weight }]
+  const totalWeight = segments.reduce((s, seg) => s + (seg.weight || 1), 0);
+  const pick = num % totalWeight;
+  let acc = 0;
+  for (let i = 0; i < segments.length; i++) {
+    acc += segments[i].weight || 1;
+    if (pick < acc) return i;
+  }
+  return segments.length - 1;
+}
+
+/**
+ * HMAC message for a spin that players contributed to: every client seed (in
+ * join order) plus the wheel's spin nonce, e.g. "a1b2,c3d4:1". Used as the
+ * `nonce` argument of deterministicSpinIndex / uniformIndex.
+ */
+function combineSpinInput(clientSeeds, nonce){
+  return `${clientSeeds.join(',')}:${nonce}`;
+}
+
+/**
+ * Unweighted pick among `count` options, e.g. the participant eliminated in a
+ * round (candidates ordered by participant id, nonce = round number) or the
+ * winning player of a spin (paid joins ordered by join time).
+ */
+function uniformIndex(serverSeed, nonce, count){
+  return deterministicSpinIndex(serverSeed, nonce, new Array(count).fill({ weight: 1 }));
+}
+
+module.exports = { generateSeed, hashSeed, sealSeed, openSeed, roundHmac, deterministicSpinIndex, uniformIndex, combineSpinInput };
@@ -1,37 +1,38 @@
 const crypto = require('crypto');
 const prisma = require('./prismaClient');
+const { generateSeed, hashSeed, sealSeed, openSeed, deterministicSpinIndex, uniformIndex, combineSpinInput } = require('./fairness');
 const { randomUUID } = require('crypto');
+const { MAX_RESPINS, checkPrizeWheel, prizePayout } = require('./prizes');
 const REDIS_LOCK_PREFIX = 'lock:wheel:';
+const MAX_SCHEDULE_AHEAD_MS = 30 * 24 * 3600 * 1000;
 
-async function createWheel({ hostId, title, segments, entryFee, maxPlayers, startsAt }) {
+/**
+ * mode 'pool' (default): one player, picked by the spin, takes the whole pool.
+ * mode 'prize': segments carry prizes (see prizes.js) and the spun segment
+ * decides the picked player's payout.
+ * With `startsAt` (at most 30 days ahead) the wheel is started automatically
+ * then (startDueWheels).
+ * The server seed is stored encrypted (fairness.sealSeed) so any node can
+ * start the wheel, also after a restart.
+ */
+async function createWheel({ hostId, title, segments, entryFee, maxPlayers, minPlayers = 1, mode = 'pool', startsAt }) {
+  if (mode !== 'pool' && mode !== 'prize') throw new Error('Unknown wheel mode');
+  if (startsAt != null && !(new Date(startsAt).getTime() > Date.now())) throw new Error('startsAt must be in the future');
+  if (startsAt != null && new Date(startsAt).getTime() > Date.now() + MAX_SCHEDULE_AHEAD_MS) throw new Error('startsAt must be within 30 days');
+  if (!Number.isInteger(minPlayers) || minPlayers < 1 || (maxPlayers != null && minPlayers > maxPlayers)) throw new Error('Invalid minPlayers');
+  if (mode === 'prize') checkPrizeWheel(segments, { entryFee, minPlayers });
   // serverSeedHash: publish H(seed) to clients before reveal
-  const seed = crypto.randomBytes(32).toString('hex'); // secret until reveal
-  const seedHash = crypto.createHash('sha256').update(seed).digest('hex');
-  const wheel = await prisma.wheel.create({
+  const seed = generateSeed(); // secret until reveal
+  const seedHash = hashSeed(seed);
+  const { serverSeedSealed, ...wheel } = await prisma.wheel.create({
     data: {
-      hostId, title, segments: segments, entryFee, maxPlayers, startsAt,
-      serverSeedHash: seedHash
+      hostId, title, segments: segments, entryFee, maxPlayers, minPlayers, mode, startsAt: startsAt ? new Date(startsAt) : null,
+      serverSeedHash: seedHash, serverSeedSealed: sealSeed(seed)
     }
   });
   return { wheel, serverSeed: seed }; // serverSeed returned for server runtime (do not expose)
 }
 
-function deterministicSpinIndex(serverSeed, nonce, segments) {
-  // serverSeed: hex string, nonce: integer
-  // create HMAC: HMAC-SHA256(serverSeed, nonce)
-  const h = crypto.createHmac('sha256', serverSeed).update(String(nonce)).digest('hex');
-  const num = parseInt(h.slice(0, 15), 16); // large number
-  // map to weighted segments: segments is array [{ label, weight }]
-  const totalWeight = segments.reduce((s, seg) => s + (seg.weight || 1), 0);
-  const pick = num % totalWeight;
-  let acc = 0;
-  for (let i = 0; i < segments.length; i++) {
-    acc += segments[i].weight || 1;
-    if (pick < acc) return i;
-  }
-  return segments.length - 1;
-}
-
 async function startWheel(wheelId, io, redisClient) {
   // Acquire an advisory lock in DB or redis to avoid double starts
   // For simplicity, use Redis SETNX lock with expiry
@@ -40,49 +41,162 @@ async function startWheel(wheelId, io, redisClient) {
   if (!acquired) throw new Error('Wheel already starting');
 
   // fetch wheel and joins
-  const wheel = await prisma.wheel.findUnique({ where: { id: wheelId }, include: { joins: true }});
+  // joins ordered by join time: the winner pick is an index into this list, so
+  // the order must be reproducible by the verifier
+  const wheel = await prisma.wheel.findUnique({ where: { id: wheelId }, include: { joins: { orderBy: [{ createdAt: 'asc' }, { id: 'asc' }] } }});
   if (!wheel) throw new Error('Wheel not found');
   if (wheel.status !== 'waiting') throw new Error('Wheel not in waiting state');
 
   // compute prize pool
   const players = wheel.joins.filter(j => j.paid);
+  if (!players.length) throw new Error('No paid players');
+  if (players.length < wheel.minPlayers) throw new Error('Not enough players');
   const pool = players.length * wheel.entryFee;
 
-  // pick winner via deterministic spin
-  const nonce = Date.now(); // or an incrementing counter per wheel
-  // server must keep serverSeed private until after reveal.
-  // Fetch serverSeed from an in-memory store or secure vault. For demo assume we have it:
-  const serverSeed = global.__wheelSeeds && global.__wheelSeeds[wheelId];
-  if (!serverSeed) throw new Error('Missing server seed');
+  // server must keep serverSeed private until after reveal. A seed that can no
+  // longer be opened (sealed under another SEED_ENCRYPTION_KEY) means the wheel
+  // can never be spun fairly: refund it instead of leaving the fees locked.
+  const serverSeed = wheel.serverSeedSealed && openSeed(wheel.serverSeedSealed);
+  if (!serverSeed) {
+    await redisClient.del(lockKey);
+    await cancelWheel(wheelId, io, 'Missing server seed');
+    throw new Error('Missing server seed; wheel cancelled and refunded');
+  }
 
+  // spin via deterministic HMAC over server seed + every player's client seed +
+  // a monotonic per-wheel nonce, so no single party controls the input. A
+  // prize wheel landing on 'spin_again' spins once more with the next nonce.
+  const clientSeeds = players.map(j => j.clientSeed);
   const segments = wheel.segments; // stored as JSON
-  const winningIndex = deterministicSpinIndex(serverSeed, nonce, segments);
-  const winnerSegment = segments[winningIndex];
+  const spins = [];
+  for (;;) {
+    const { spinNonce } = await prisma.wheel.update({ where: { id: wheelId }, data: { spinNonce: { increment: 1 } }});
+    const index = deterministicSpinIndex(serverSeed, combineSpinInput(clientSeeds, spinNonce), segments);
+    spins.push({ nonce: spinNonce, winningIndex: index });
+    const again = wheel.mode === 'prize' && segments[index].prize.type === 'spin_again';
+    if (!again || spins.length > MAX_RESPINS) break;
+  }
+  const { nonce, winningIndex } = spins[spins.length - 1];
+  const spinInput = combineSpinInput(clientSeeds, nonce);
+  const winningSegment = segments[winningIndex];
 
-  // determine winner user — map index to player depending on design: either segments are equal to players or segments are prizes and winner chosen among players randomly.
-  // For this implementation: pick a random player index by mapping hash to players length:
-  const hash = crypto.createHmac('sha256', serverSeed).update(String(nonce)).digest('hex');
-  const num = parseInt(hash.slice(0, 15), 16);
-  const winnerIdx = num % players.length;
+  // the player is picked by mapping the final spin's HMAC onto the players list
+  const winnerIdx = uniformIndex(serverSeed, spinInput, players.length);
   const winnerJoin = players[winnerIdx];
 
-  // award payout (all pool to winner)
-  const payout = pool;
+  // pool wheels pay the whole pool; prize wheels pay what the segment says
+  const payout = wheel.mode === 'prize' ? prizePayout(winningSegment.prize, { entryFee: wheel.entryFee, pool }) : pool;
   await prisma.$transaction(async (tx) => {
+    // persist every spin input so /wheels/:id/verify can recompute the outcome.
+    // The conditional update waits for joins in flight (they lock the wheel
+    // row, see wheel:join) and fails if the wheel was cancelled meanwhile.
+    const moved = await tx.wheel.updateMany({ where: { id: wheelId, status: 'waiting' }, data: {
+      status: 'finished', serverSeed, nonce: String(nonce), winningIndex, winnerId: winnerJoin.userId, spins
+    }});
+    if (!moved.count) throw new Error('Wheel not in waiting state');
+    // joins that committed after the players were read did not take part: refund them
+    const late = await tx.join.findMany({ where: { wheelId, paid: true, id: { notIn: players.map(j => j.id) } }});
+    for (const j of late) {
+      await tx.join.update({ where: { id: j.id }, data: { paid: false }});
+      await tx.user.update({ where: { id: j.userId }, data: { balance: { increment: wheel.entryFee } }});
+    }
     await tx.join.update({ where: { id: winnerJoin.id }, data: { payout }});
-    await tx.user.update({ where: { id: winnerJoin.userId }, data: { balance: { increment: payout } }});
-    await tx.wheel.update({ where: { id: wheelId }, data: { status: 'finished', serverSeed }});
+    if (payout) await tx.user.update({ where: { id: winnerJoin.userId }, data: { balance: { increment: payout } }});
   });
 
   // release lock
   await redisClient.del(lockKey);
 
   // notify clients
-  io.to(`wheel_${wheelId}`).emit('wheel:finished', {
-    wheelId, nonce, serverSeedHash: wheel.serverSeedHash, serverSeed, winner: winnerJoin.userId, payout, winningSegment
+  io.to(`wheel:${wheelId}`).emit('wheel:finished', {
+    wheelId, nonce, serverSeedHash: wheel.serverSeedHash, serverSeed,
+    clientSeeds: players.map(j => ({ userId: j.userId, clientSeed: j.clientSeed })), spinInput,
+    winner: winnerJoin.userId, payout, winningIndex, winningSegment, spins
+  });
+
+  return { winner: winnerJoin.userId, payout, winningSegment, nonce, spins };
+}
+
+/**
+ * Refund every paid join of a waiting wheel and mark it cancelled.
+ */
+async function cancelWheel(wheelId, io, reason) {
+  const cancelled = await prisma.$transaction(async (tx) => {
+    const moved = await tx.wheel.updateMany({ where: { id: wheelId, status: 'waiting' }, data: { status: 'cancelled' }});
+    if (!moved.count) return false;
+    const wheel = await tx.wheel.findUnique({ where: { id: wheelId }, include: { joins: true }});
+    for (const j of wheel.joins.filter(j => j.paid)) {
+      await tx.user.update({ where: { id: j.userId }, data: { balance: { increment: wheel.entryFee } }});
+    }
+    return true;
   });
+  if (cancelled) io.to(`wheel:${wheelId}`).emit('wheel:cancelled', { wheelId, reason });
+  return cancelled;
+}
 
-  return { winner: winnerJoin.userId, payout, winningSegment, nonce };
+/**
+ * Start every waiting wheel whose startsAt has passed. Wheels that cannot
+ * start (too few players) are cancelled and their entry fees refunded.
+ */
+async function startDueWheels(io, redisClient) {
+  const due = await prisma.wheel.findMany({ where: { status: 'waiting', startsAt: { lte: new Date() } }, select: { id: true }});
+  for (const { id } of due) {
+    try {
+      await startWheel(id, io, redisClient);
+    } catch (e) {
+      if (e.message === 'No paid players' || e.message === 'Not enough players') await cancelWheel(id, io, e.message);
+      else console.error('scheduled start failed', id, e.message);
+    }
+  }
+}
+
+/**
+ * Recompute a finished spin from its stored inputs. Returns the inputs next to
+ * the recomputed hash, segment and winner, and whether each matches what was
+ * committed/recorded.
+ */
+async function verifyWheel(wheelId) {
+  const wheel = await prisma.wheel.findUnique({ where: { id: wheelId }, include: { joins: { orderBy: [{ createdAt: 'asc' }, { id: 'asc' }] } }});
+  if (!wheel) throw new Error('Wheel not found');
+  if (wheel.status !== 'finished' || !wheel.serverSeed) {
+    return { wheelId, status: wheel.status, serverSeedHash: wheel.serverSeedHash, revealed: false };
+  }
+  const paid = wheel.joins.filter(j => j.paid);
+  const players = paid.map(j => j.userId);
+  const clientSeeds = paid.map(j => j.clientSeed);
+  const spinInput = combineSpinInput(clientSeeds, wheel.nonce);
+  const recomputedHash = hashSeed(wheel.serverSeed);
+  const recomputedIndex = deterministicSpinIndex(wheel.serverSeed, spinInput, wheel.segments);
+  const recomputedWinner = players[uniformIndex(wheel.serverSeed, spinInput, players.length)];
+  // every spin of the wheel (several when a prize wheel hit 'spin_again')
+  const spins = (wheel.spins || [{ nonce: Number(wheel.nonce), winningIndex: wheel.winningIndex }]).map(spin => ({
+    ...spin,
+    recomputedIndex: deterministicSpinIndex(wheel.serverSeed, combineSpinInput(clientSeeds, spin.nonce), wheel.segments)
+  }));
+  const winnerJoin = paid.find(j => j.userId === wheel.winnerId);
+  return {
+    wheelId,
+    status: wheel.status,
+    revealed: true,
+    serverSeed: wheel.serverSeed,
+    serverSeedHash: wheel.serverSeedHash,
+    nonce: wheel.nonce,
+    clientSeeds,
+    spinInput,
+    segments: wheel.segments,
+    mode: wheel.mode,
+    spins,
+    players,
+    recorded: { winningIndex: wheel.winningIndex, winner: wheel.winnerId, payout: winnerJoin ? winnerJoin.payout : null },
+    recomputed: {
+      serverSeedHash: recomputedHash,
+      winningIndex: recomputedIndex,
+      winningSegment: wheel.segments[recomputedIndex],
+      winner: recomputedWinner
+    },
+    valid: recomputedHash === wheel.serverSeedHash && recomputedIndex === wheel.winningIndex && recomputedWinner === wheel.winnerId
+      && spins.every(spin => spin.recomputedIndex === spin.winningIndex)
+  };
 }
 
-module.exports = { createWheel, startWheel, deterministicSpinIndex };
+module.exports = { createWheel, startWheel, cancelWheel, startDueWheels, verifyWheel, deterministicSpinIndex };
@@ -0,0 +1,121 @@
+/**
+ * Wallet history: a user's `transactions` rows (one per wallet movement, see
+ * ledger.post) with the posting kind, a human-readable reason built from the
+ * `meta` JSON and the wallet balance after each row.
+ *
+ * The balance after a row is the current users.coins minus every later row,
+ * so it stays right for wallets that started with coins no row accounts for.
+ */
+const { query } = require('./db');
+const v = require('./validate');
+
+const TYPES = ['credit', 'debit'];
+const KINDS = ['join', 'refund', 'payout', 'adjustment', 'opening_balance'];
+const PAGE_SIZE = 50;
+const MAX_PAGE = 200;
+const MAX_EXPORT = 10000;
+
+function place(meta, userId){
+  const p = (meta.places || []).find(([id])=> id===userId);
+  return p ? ` (place ${p[1]})` : '';
+}
+
+/**
+ * Human-readable reason for one row; `kind` is the ledger posting kind (null
+ * for rows written before the ledger existed).
+ */
+function describe({kind, meta, user_id}){
+  const m = meta || {};
+  const wheel = m.wheel ? ` wheel #${m.wheel}` : '';
+  switch(kind){
+    case 'join':
+      return m.tournament ? `Tournament #${m.tournament} buy-in` : `Entry fee,${wheel}`;
+    case 'refund':
+      if(m.tournament) return `Tournament #${m.tournament} aborted, buy-in refunded${m.reason ? ` (${m.reason})` : ''}`;
+      if(m.reason==='left') return `Left${wheel}, entry fee refunded`;
+      return `Refund,${wheel} aborted${m.reason ? ` (${m.reason})` : ''}${m.policy==='keep_fees' ? ', fees kept' : ''}`;
+    case 'payout':
+      if(m.role==='tournament') return `Tournament #${m.tournament} prize${place(m, user_id)}`;
+      if(m.role==='admin') return wheel ? `Host fees,${wheel}` : 'Host fees';
+      return `Prize,${wheel}${place(m, user_id)}`;
+    case 'adjustment':
+      return `Balance adjustment by admin${m.reason ? `: ${m.reason}` : ''}`;
+    case 'opening_balance':
+      return 'Opening balance';
+    default:
+      // rows from before the ledger: {wheel, role?, reason?}
+      if(m.role==='winner') return `Prize,${wheel}`;
+      if(m.role==='admin') return `Host fees,${wheel}`;
+      if(m.reason) return `Refund,${wheel} (${m.reason})`;
+      return wheel ? `Entry fee,${wheel}` : 'Wallet movement';
+  }
+}
+
+/**
+ * Query-string filters (declared for validate.js): type: credit|debit, kind:
+ * posting kind, wheel: wheel id, from/to: dates (to is exclusive), before: id
+ * cursor from the previous page, limit.
+ */
+const FILTERS = {
+  type: v.oneOf(TYPES, {optional: true}),
+  kind: v.oneOf(KINDS, {optional: true}),
+  wheel: v.int({min: 1, optional: true}),
+  before: v.int({min: 1, optional: true}),
+  from: v.date({optional: true}),
+  to: v.date({optional: true}),
+  limit: v.int({min: 1, max: MAX_PAGE, default: PAGE_SIZE})
+};
+
+/**
+ * One page of a user's history, newest first. `nextBefore` is the cursor for
+ * the following page (null on the last one). With `all`, up to MAX_EXPORT
+ * rows are returned in one page (exports); `nextBefore` is then non-null when
+ * more rows match.
+ */
+async function listTransactions(userId, filters, {all = false} = {}){
+  const limit = all ? MAX_EXPORT : filters.limit;
+  const r = await query(`WITH history AS (
+      SELECT t.id, t.user_id, t.amount, t.type, t.meta, t.created_at, p.kind,
+        u.coins - COALESCE(SUM(t.amount) OVER (ORDER BY t.id DESC ROWS BETWEEN UNBOUNDED PRECEDING AND 1 PRECEDING), 0) AS balance_after
+      FROM transactions t
+      JOIN users u ON u.id=t.user_id
+      LEFT JOIN ledger_postings p ON p.id = (t.meta->>'posting')::int
+      WHERE t.user_id=$1
+    )
+    SELECT * FROM history
+    WHERE ($2::text IS NULL OR type=$2)
+      AND ($3::text IS NULL OR kind=$3)
+      AND ($4::int IS NULL OR (meta->>'wheel')::int = $4)
+      AND ($5::timestamptz IS NULL OR created_at >= $5)
+      AND ($6::timestamptz IS NULL OR created_at < $6)
+      AND ($7::int IS NULL OR id < $7)
+    ORDER BY id DESC LIMIT $8`,
+    [userId, filters.type || null, filters.kind || null, filters.wheel || null, filters.from || null, filters.to || null,
+      filters.before || null, limit + 1]);
+  const rows = r.rows.slice(0, limit).map(t=> ({
+    id: t.id,
+    created_at: t.created_at,
+    type: t.type,
+    kind: t.kind,
+    amount: Number(t.amount),
+    balance_after: Number(t.balance_after),
+    wheel_id: t.meta && t.meta.wheel ? Number(t.meta.wheel) : null,
+    tournament_id: t.meta && t.meta.tournament ? Number(t.meta.tournament) : null,
+    reason: describe(t),
+    meta: t.meta
+  }));
+  return {transactions: rows, nextBefore: r.rowCount > limit ? rows[rows.length - 1].id : null};
+}
+
+function csvCell(v){
+  const s = v==null ? '' : v instanceof Date ? v.toISOString() : String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+const CSV_COLUMNS = ['id', 'created_at', 'type', 'kind', 'amount', 'balance_after', 'wheel_id', 'tournament_id', 'reason'];
+
+function toCsv(rows){
+  return [CSV_COLUMNS.join(','), ...rows.map(r=> CSV_COLUMNS.map(c=> csvCell(r[c])).join(','))].join('\r\n') + '\r\n';
+}
+
+module.exports = { TYPES, KINDS, FILTERS, MAX_EXPORT, describe, listTransactions, toCsv };
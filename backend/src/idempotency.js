@@ -0,0 +1,130 @@
+/**
+ * Idempotency keys for mutating requests.
+ *
+ * A client sends a key (REST: `Idempotency-Key` header, sockets:
+ * `idempotencyKey` in the payload). The first request with a given key per
+ * user runs and its response is stored; later requests with the same key get
+ * that stored response replayed instead of running again. Reusing a key for a
+ * different request is rejected (422); a duplicate arriving while the first is
+ * still running gets 409. Keys are kept for KEY_TTL_HOURS.
+ *
+ * Storage goes through a small store interface (claim/save/release/purge) so
+ * the SQL backend and the Prisma wheel service share the same semantics.
+ */
+const { query } = require('./db');
+
+const KEY_TTL_HOURS = 24;
+// an in-progress claim older than this is assumed abandoned (crash mid-request)
+const STALE_CLAIM_SECONDS = 60;
+
+const sqlStore = {
+  /** Returns null when the key was claimed for this request, else the existing record. */
+  async claim(userId, key, scope){
+    const r = await query(`INSERT INTO idempotency_keys (user_id, key, scope) VALUES ($1,$2,$3)
+      ON CONFLICT (user_id, key) DO UPDATE SET scope=EXCLUDED.scope, created_at=now()
+        WHERE idempotency_keys.status_code IS NULL AND idempotency_keys.created_at < now() - interval '${STALE_CLAIM_SECONDS} seconds'
+      RETURNING user_id`, [userId, key, scope]);
+    if(r.rowCount) return null;
+    const existing = await query('SELECT scope, status_code, response FROM idempotency_keys WHERE user_id=$1 AND key=$2', [userId, key]);
+    const row = existing.rows[0];
+    return { scope: row.scope, status: row.status_code, response: row.response };
+  },
+  async save(userId, key, status, body){
+    await query('UPDATE idempotency_keys SET status_code=$1, response=$2 WHERE user_id=$3 AND key=$4', [status, JSON.stringify(body), userId, key]);
+  },
+  async release(userId, key){
+    await query('DELETE FROM idempotency_keys WHERE user_id=$1 AND key=$2', [userId, key]);
+  },
+  async purge(){
+    await query(`DELETE FROM idempotency_keys WHERE created_at < now() - interval '${KEY_TTL_HOURS} hours'`);
+  }
+};
+
+/**
+ * Same store on the Prisma `IdempotencyKey` model, for the Prisma wheel service.
+ */
+function prismaStore(prisma){
+  return {
+    async claim(userId, key, scope){
+      try{
+        await prisma.idempotencyKey.create({ data: { userId, key, scope } });
+        return null;
+      }catch(e){
+        if(e.code!=='P2002') throw e; // unique violation = key already seen
+      }
+      const stale = new Date(Date.now() - STALE_CLAIM_SECONDS * 1000);
+      const reclaimed = await prisma.idempotencyKey.updateMany({
+        where: { userId, key, statusCode: null, createdAt: { lt: stale } },
+        data: { scope, createdAt: new Date() }
+      });
+      if(reclaimed.count) return null;
+      const row = await prisma.idempotencyKey.findUnique({ where: { userId_key: { userId, key } } });
+      return { scope: row.scope, status: row.statusCode, response: row.response };
+    },
+    async save(userId, key, status, body){
+      await prisma.idempotencyKey.update({ where: { userId_key: { userId, key } }, data: { statusCode: status, response: body } });
+    },
+    async release(userId, key){
+      await prisma.idempotencyKey.deleteMany({ where: { userId, key } });
+    },
+    async purge(){
+      await prisma.idempotencyKey.deleteMany({ where: { createdAt: { lt: new Date(Date.now() - KEY_TTL_HOURS * 3600 * 1000) } } });
+    }
+  };
+}
+
+/**
+ * Run fn() at most once per (userId, key). fn resolves to {status, body};
+ * 5xx results and thrown errors release the key so the client may retry.
+ * Without a key fn() simply runs.
+ */
+async function once(store, {userId, key, scope}, fn){
+  if(!key) return { ...(await fn()), replayed: false };
+  const existing = await store.claim(userId, String(key), scope);
+  if(existing){
+    if(existing.scope!==scope) return { status: 422, body: {error:'idempotency key reused for a different request'}, replayed: false };
+    if(existing.status==null) return { status: 409, body: {error:'request with this idempotency key is still in progress'}, replayed: false };
+    return { status: existing.status, body: existing.response, replayed: true };
+  }
+  let result;
+  try{ result = await fn(); }
+  catch(e){ await store.release(userId, String(key)); throw e; }
+  if(result.status >= 500) await store.release(userId, String(key));
+  else await store.save(userId, String(key), result.status, result.body);
+  return { ...result, replayed: false };
+}
+
+/**
+ * Express middleware (after auth.requireAuth) applying once() to a route via
+ * the `Idempotency-Key` header. Replays carry `Idempotent-Replayed: true`.
+ * Only JSON responses are stored: a response sent any other way (res.send,
+ * res.end, Express's default error handler) goes out as is and releases the
+ * key, like a thrown error.
+ */
+function idempotent(store = sqlStore){
+  return async (req, res, next)=>{
+    const key = req.get('Idempotency-Key');
+    if(!key) return next();
+    const scope = `${req.method} ${req.originalUrl}`;
+    const original = {json: res.json, send: res.send, end: res.end};
+    const restore = ()=> Object.assign(res, original);
+    const passThrough = send=> Object.assign(new Error('response is not JSON'), {respond: send});
+    try{
+      const result = await once(store, {userId: req.user.id, key, scope}, ()=> new Promise((resolve, reject)=>{
+        // hold the route's response until it has been stored
+        res.json = body=>{ restore(); resolve({status: res.statusCode, body}); return res; };
+        res.send = (...args)=>{ restore(); reject(passThrough(()=> res.send(...args))); return res; };
+        res.end = (...args)=>{ restore(); reject(passThrough(()=> res.end(...args))); return res; };
+        next();
+      }));
+      if(result.replayed) res.set('Idempotent-Replayed', 'true');
+      res.status(result.status).json(result.body);
+    }catch(e){
+      restore();
+      if(e.respond) e.respond();
+      else next(e);
+    }
+  };
+}
+
+module.exports = { once, idempotent, sqlStore, prismaStore };
@@ -1,30 +1,56 @@
 /**
  * Minimal Spin Wheel backend implementing core requirements:
- * - Admin can create a wheel (only one active at a time)
+ * - Admin can create wheels; any number can run at once, each with its own timers
  * - Users join by paying coins (atomic DB tx)
- * - Auto-start after 3 minutes or manual start
- * - Eliminate one user every 7 seconds until winner
- * - Real-time updates via Socket.IO
+ * - Auto-start when the lobby time runs out, or manual start
+ * - Eliminate users on a per-wheel schedule until one winner (rules.js;
+ *   commit–reveal fairness, see fairness.js)
+ * - Real-time updates via Socket.IO (Redis adapter + per-wheel leases when scaled out)
  *
  * Uses PostgreSQL and basic SQL transactions for coin safety.
  */
 
 const express = require('express');
 const http = require('http');
+const crypto = require('crypto');
 const { Server } = require('socket.io');
-const { Pool } = require('pg');
-const dotenv = require('dotenv');
 const { v4: uuidv4 } = require('uuid');
+const { pool, query } = require('./db');
+const scheduler = require('./scheduler');
+const { attachAdapter } = require('./redis');
+const auth = require('./auth');
+const fairness = require('./fairness');
+const ledger = require('./ledger');
+const rules = require('./rules');
+const stats = require('./stats');
+const history = require('./history');
+const rateLimit = require('./rateLimit');
+const v = require('./validate');
+const { idempotent, sqlStore: idempotencyStore } = require('./idempotency');
 
-dotenv.config();
 const PORT = process.env.PORT || 4000;
-const DATABASE_URL = process.env.DATABASE_URL;
-
-const pool = new Pool({ connectionString: DATABASE_URL });
+// what to do with wheels that were 'active' when the process stopped: resume | abort
+const WHEEL_RECOVERY = process.env.WHEEL_RECOVERY || 'resume';
+const RECONCILE_INTERVAL_MS = Number(process.env.RECONCILE_INTERVAL_MS) || 3600000;
+// how often recurring wheel templates are checked for wheels to create
+const TEMPLATE_TICK_MS = Number(process.env.TEMPLATE_TICK_MS) || 30000;
+const MAX_SCHEDULE_AHEAD_MS = 30 * 24 * 3600 * 1000;
+const MAX_ENTRY_FEE = 1000000;
+const MAX_ADJUSTMENT = 1000000000;
 
 const app = express();
-app.use(express.json());
+// e.g. TRUST_PROXY=1 behind one reverse proxy, so req.ip (rate limits) is the client's
+if(process.env.TRUST_PROXY) app.set('trust proxy', isNaN(process.env.TRUST_PROXY) ? process.env.TRUST_PROXY : Number(process.env.TRUST_PROXY));
+// cors first, so error responses (e.g. the JSON-parse 400) carry its headers too
 app.use(require('cors')());
+app.use(express.json());
+// a body that is not JSON gets the same 400 shape as one failing its schema
+app.use((err, req, res, next)=> {
+  if(err.type!=='entity.parse.failed') return next(err);
+  res.status(400).json({error:'body must be valid JSON', code: v.INVALID_INPUT, details:[{field: null, code:'type', message:'body must be valid JSON'}]});
+});
+app.use(rateLimit.limit('ip', {by: 'ip'}));
+app.use('/api', rateLimit.limit('api'));
 
 const server = http.createServer(app);
 const io = new Server(server, { cors: { origin: '*' } });
@@ -32,58 +58,266 @@ const io = new Server(server, { cors: { origin: '*' } });
 /**
  * Utility DB helpers
  */
-async function query(text, params){ return pool.query(text, params); }
-
 async function getConfigSplit(){
   const res = await query("SELECT key,value FROM config WHERE key LIKE 'fee_split_%'");
   const map = {};
   res.rows.forEach(r=> map[r.key] = Number(r.value));
+  // 0 is a valid share, so only missing keys fall back to the defaults
+  const pct = (key, fallback)=> key in map ? map[key] : fallback;
   return {
-    winner_pct: map['fee_split_winner_pct']||70,
-    admin_pct: map['fee_split_admin_pct']||20,
-    app_pct: map['fee_split_app_pct']||10
+    winner_pct: pct('fee_split_winner_pct', 70),
+    admin_pct: pct('fee_split_admin_pct', 20),
+    app_pct: pct('fee_split_app_pct', 10)
   };
 }
 
+/**
+ * The server seed is only revealed once a wheel can no longer change.
+ */
+function publicWheel(w){
+  if(w.status==='finished' || w.status==='aborted') return w;
+  const {server_seed, ...rest} = w;
+  return rest;
+}
+
 /**
  * Socket.IO namespaces / events:
- * - Clients join room 'wheel' to receive updates
+ * - Handshake must carry `auth: {token}` (see auth.socketAuth)
+ * - Room 'lobby' receives wheel lifecycle events (created/started/finished/aborted)
+ * - Room 'wheel:<id>' receives all traffic for one wheel; clients joinRoom /
+ *   leaveRoom for the wheels they are watching
+ * - Every wheel event carries a per-wheel `seq`. Joining a wheel room sends a
+ *   'wheel:state' snapshot; 'wheel:resume' {wheelId, fromSeq} re-joins the room
+ *   and acks with the events missed since fromSeq (or a snapshot if too far behind)
+ * - 'time:sync' acks {serverTime} (epoch ms) for client clock-offset estimation
+ * - Room 'admin' (admins only) receives 'admin:pools' whenever a wheel's pools change
+ * - Room 'tournament:<id>' receives 'tournament:state' (the bracket) on join and
+ *   whenever it changes (see tournaments.js)
+ * - Anyone may watch a wheel room without joining (spectators) unless banned
+ *   from it; the room gets 'wheel:audience' {wheelId, watching} as people come
+ *   and go, and carries the wheel's chat (see chat.js)
  */
+const events = require('./wheelEvents')(io);
+const { LOBBY, wheelRoom } = events;
+const ADMIN_ROOM = 'admin';
+// joinRoom / leaveRoom payload: the lobby, the admin room or one wheel / tournament
+const roomName = v.string({max: 40, pattern: new RegExp(`^(${LOBBY}|${ADMIN_ROOM}|(wheel|tournament):\\d+)$`)});
+const chat = require('./chat')(io, events);
+
+// number of distinct users watching a wheel (players and spectators), on all nodes
+async function emitAudience(room){
+  const sockets = await io.in(room).fetchSockets();
+  const watching = new Set(sockets.map(s=> s.data.user && s.data.user.id)).size;
+  io.to(room).emit('wheel:audience', {wheelId: Number(room.slice('wheel:'.length)), watching});
+}
+
+// in-game event: only sockets watching the wheel
+function emitWheel(wheelId, event, payload){ return events.publish(wheelId, event, payload); }
+// lifecycle event: watchers of the wheel plus the lobby
+function emitLifecycle(wheelId, event, payload){ return events.publish(wheelId, event, payload, {lobby: true}); }
+
+/**
+ * Authoritative snapshot of one wheel, sent as 'wheel:state'. `seq` is the
+ * last event already reflected in it; clients drop live events with seq <= it.
+ */
+async function wheelState(wheelId){
+  const wq = await query('SELECT * FROM spin_wheels WHERE id=$1', [wheelId]);
+  if(!wq.rowCount) return null;
+  const w = publicWheel(wq.rows[0]);
+  const parts = await query(`SELECT p.id, p.user_id, u.username, p.joined_at, p.eliminated_at, p.eliminated_order, p.final_place, p.payout
+    FROM spin_participants p JOIN users u ON p.user_id=u.id WHERE wheel_id=$1 ORDER BY p.id`, [wheelId]);
+  const jobs = await query('SELECT kind, run_at FROM wheel_jobs WHERE wheel_id=$1', [wheelId]);
+  const deadline = kind=> (jobs.rows.find(j=> j.kind===kind) || {}).run_at || null;
+  return {
+    wheelId: w.id,
+    seq: w.event_seq,
+    status: w.status,
+    entryFee: Number(w.entry_fee),
+    rules: rules.rulesOf(w),
+    serverSeedHash: w.server_seed_hash,
+    pools: { winner: Number(w.winner_pool), admin: Number(w.admin_pool), app: Number(w.app_pool) },
+    participants: parts.rows.filter(p=> !p.eliminated_at),
+    eliminated: parts.rows.filter(p=> p.eliminated_at).sort((a, b)=> a.eliminated_order - b.eliminated_order),
+    // final places and payouts, once the wheel has finished
+    standings: parts.rows.filter(p=> p.final_place).sort((a, b)=> a.final_place - b.final_place)
+      .map(p=> ({place: p.final_place, user_id: p.user_id, username: p.username, eliminated_order: p.eliminated_order, payout: Number(p.payout)})),
+    abortReason: w.abort_reason,
+    refundPolicy: w.refund_policy,
+    opensAt: deadline('open'),
+    autoStartAt: deadline('autostart'),
+    nextEliminationAt: deadline('eliminate'),
+    serverTime: new Date()
+  };
+}
+
+io.use(rateLimit.socketConnectLimit);
+io.use(auth.socketAuth);
 io.on('connection', socket=>{
-  console.log('socket connected', socket.id);
-  socket.on('joinRoom', room => {
-    socket.join(room);
+  console.log('socket connected', socket.id, 'user', socket.data.user.id);
+  rateLimit.guardSocket(socket);
+  socket.on('joinRoom', v.validated(roomName, async room => {
+    if(room===LOBBY) return socket.join(room);
+    try{
+      if(room===ADMIN_ROOM){
+        const u = await query('SELECT is_admin FROM users WHERE id=$1', [socket.data.user.id]);
+        if(u.rowCount && u.rows[0].is_admin) socket.join(room);
+        return;
+      }
+      if(room.startsWith('tournament:')){
+        socket.join(room);
+        const bracket = await tournaments.bracket(Number(room.slice('tournament:'.length)));
+        if(bracket) socket.emit('tournament:state', bracket);
+        return;
+      }
+      const wheelId = Number(room.slice('wheel:'.length));
+      if(await chat.isBanned(wheelId, socket.data.user.id)) return socket.emit('wheel:banned', {wheelId});
+      // join before reading the snapshot so no event falls in between
+      socket.join(room);
+      const state = await wheelState(wheelId);
+      if(state) socket.emit('wheel:state', state);
+      await emitAudience(room);
+    }catch(e){ console.error('wheel state error', e); }
+  }));
+  socket.on('wheel:resume', v.validated(v.object({
+    wheelId: v.int({min: 1}),
+    fromSeq: v.int({min: 0, optional: true})
+  }), async ({wheelId, fromSeq}, ack) => {
+    if(typeof ack!=='function') return;
+    try{
+      if(await chat.isBanned(wheelId, socket.data.user.id)) return ack({success:false, message:'banned from this wheel'});
+      socket.join(wheelRoom(wheelId));
+      const missed = await events.eventsSince(wheelId, fromSeq);
+      if(missed) return ack({success:true, events: missed});
+      ack({success:true, state: await wheelState(wheelId)});
+    }catch(e){ ack({success:false, message:e.message}); }
+  }));
+  socket.on('leaveRoom', v.validated(roomName, room => {
+    socket.leave(room);
+    if(room!==LOBBY && room!==ADMIN_ROOM) emitAudience(room).catch(e=> console.error('audience error', e));
+  }));
+  socket.on('disconnecting', () => {
+    const rooms = [...socket.rooms].filter(room=> room.startsWith('wheel:'));
+    // after the disconnect has removed the socket from its rooms
+    setImmediate(()=> rooms.forEach(room=> emitAudience(room).catch(e=> console.error('audience error', e))));
+  });
+  chat.register(socket);
+  // clock sync: clients estimate their offset from the server clock (NTP style)
+  // so countdowns to server deadlines agree across devices
+  socket.on('time:sync', (_, ack) => {
+    if(typeof ack==='function') ack({serverTime: Date.now()});
   });
 });
 
 /**
- * Simple endpoints for admin / user actions
+ * Session endpoints: credentials are checked against the users table and a
+ * signed bearer token is returned for the REST routes and socket handshake.
+ */
+const credentials = minPassword=> v.object({
+  username: v.string({max: 50}),
+  password: v.string({min: minPassword, max: 200, trim: false})
+});
+
+app.post('/api/auth/register', rateLimit.limit('auth', {by: 'ip'}), v.validate({body: credentials(8)}), async (req,res)=>{
+  try{
+    const {username, password} = req.body;
+    const r = await query('INSERT INTO users (username, password_hash) VALUES ($1,$2) ON CONFLICT (username) DO NOTHING RETURNING id, username, coins, is_admin',
+      [username, auth.hashPassword(password)]);
+    if(!r.rowCount) return res.status(409).json({error:'username taken'});
+    const user = r.rows[0];
+    res.json({token: auth.issueToken(user), user});
+  }catch(e){ console.error(e); res.status(500).json({error:e.message}); }
+});
+
+app.post('/api/auth/login', rateLimit.limit('auth', {by: 'ip'}), v.validate({body: credentials(1)}), async (req,res)=>{
+  try{
+    const {username, password} = req.body;
+    const r = await query('SELECT id, username, coins, is_admin, password_hash FROM users WHERE username=$1', [username]);
+    if(!r.rowCount || !auth.verifyPassword(password, r.rows[0].password_hash)) return res.status(401).json({error:'invalid credentials'});
+    const {password_hash, ...user} = r.rows[0];
+    res.json({token: auth.issueToken(user), user});
+  }catch(e){ console.error(e); res.status(500).json({error:e.message}); }
+});
+
+app.get('/api/auth/me', auth.requireAuth, (req,res)=> res.json(req.user));
+
+/**
+ * Simple endpoints for admin / user actions. The acting user always comes from
+ * the bearer token (req.user), never from the request body. Mutating routes
+ * accept an `Idempotency-Key` header; a repeated key replays the first response.
+ * Params, query strings and bodies are checked against declared schemas
+ * (validate.js) before a route runs.
  */
+const byId = v.object({id: v.int({min: 1})});
+const noBody = v.object({});
 
-// Create wheel (admin only by user id)
-app.post('/api/wheels', async (req,res)=>{
+/**
+ * Insert a wheel row (inside the caller's transaction when `client` is one).
+ * With `startsAt` the wheel opens lobby_seconds before it and stays
+ * 'scheduled' (listed, not joinable) until then; otherwise it opens now.
+ */
+async function insertWheel(client, ownerId, entryFee, rl, {startsAt = null, templateId = null, tournamentId = null, tournamentRound = null} = {}){
+  const opensAt = startsAt ? new Date(startsAt.getTime() - rl.lobby_seconds * 1000) : null;
+  const status = opensAt && opensAt > new Date() ? 'scheduled' : 'pending';
+  // commit to the elimination seed up front; only its hash is published
+  const seed = fairness.generateSeed();
+  const r = await client.query(`INSERT INTO spin_wheels (owner_id, entry_fee, server_seed, server_seed_hash, lobby_seconds, elimination_interval_ms,
+    elimination_acceleration, min_elimination_interval_ms, min_participants, max_participants, eliminations_per_round, payout_table,
+    status, starts_at, opens_at, template_id, tournament_id, tournament_round)
+    VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18) RETURNING *`,
+    [ownerId, entryFee, seed, fairness.hashSeed(seed), rl.lobby_seconds, rl.elimination_interval_ms,
+      rl.elimination_acceleration, rl.min_elimination_interval_ms, rl.min_participants, rl.max_participants, rl.eliminations_per_round, JSON.stringify(rl.payout_table),
+      status, startsAt, opensAt, templateId, tournamentId, tournamentRound]);
+  return r.rows[0];
+}
+
+/**
+ * Broadcast a new wheel and persist its deadlines: 'open' for scheduled
+ * wheels, 'autostart' at starts_at (or when the lobby time runs out).
+ */
+async function announceWheel(row){
+  const wheel = publicWheel(row);
+  await emitLifecycle(wheel.id, 'wheelCreated', wheel);
+  if(row.status==='scheduled') await scheduler.schedule(row.id, 'open', new Date(row.opens_at));
+  await scheduler.schedule(row.id, 'autostart', row.starts_at ? new Date(row.starts_at) : new Date(Date.now() + row.lobby_seconds * 1000));
+  return wheel;
+}
+
+// A scheduled wheel's lobby opens for joining
+async function openWheel(wheelId){
+  const r = await query("UPDATE spin_wheels SET status='pending' WHERE id=$1 AND status='scheduled' RETURNING starts_at", [wheelId]);
+  if(r.rowCount) await emitLifecycle(wheelId, 'wheelOpened', {wheelId, startsAt: r.rows[0].starts_at});
+}
+
+// A validated start date (absent or a Date): {startsAt} (null when absent)
+// if it lies in the allowed window, else {error}
+function parseStartsAt(startsAt, field = 'starts_at'){
+  if(!startsAt) return {startsAt: null};
+  if(startsAt.getTime() <= Date.now()) return {error:`${field} must be in the future`};
+  if(startsAt.getTime() > Date.now() + MAX_SCHEDULE_AHEAD_MS) return {error:`${field} must be within 30 days`};
+  return {startsAt};
+}
+
+// Create wheel (admin only). Optional rule fields (see rules.js) override the
+// defaults; optional `starts_at` schedules it for a later time.
+app.post('/api/wheels', auth.requireAuth, auth.requireAdmin, rateLimit.limit('create'), v.validate({body: v.object({
+  entry_fee: v.int({min: 1, max: MAX_ENTRY_FEE, default: 100}),
+  starts_at: v.date({optional: true}),
+  ...rules.FIELDS
+})}), idempotent(), async (req,res)=>{
   try{
-    const {owner_id, entry_fee} = req.body;
-    // check admin
-    const adm = await query('SELECT is_admin FROM users WHERE id=$1', [owner_id]);
-    if(!adm.rowCount || !adm.rows[0].is_admin) return res.status(403).json({error:'only admin'});
-    // ensure no active wheel
-    const active = await query("SELECT * FROM spin_wheels WHERE status IN ('pending','active')");
-    if(active.rowCount>0) return res.status(400).json({error:'active wheel exists'});
-    const r = await query('INSERT INTO spin_wheels (owner_id, entry_fee) VALUES ($1,$2) RETURNING *',[owner_id, entry_fee||100]);
-    const wheel = r.rows[0];
-    // broadcast
-    io.emit('wheelCreated', wheel);
-    // schedule auto-start after 3 minutes (180s)
-    setTimeout(()=> autoStartWheel(wheel.id), 180000);
-    res.json(wheel);
+    const parsed = rules.parseRules(req.body);
+    if(parsed.error) return v.invalid(res, parsed.error);
+    const when = parseStartsAt(req.body.starts_at);
+    if(when.error) return v.invalid(res, when.error, 'starts_at');
+    const row = await insertWheel({query}, req.user.id, req.body.entry_fee, parsed.rules, {startsAt: when.startsAt});
+    res.json(await announceWheel(row));
   }catch(e){ console.error(e); res.status(500).json({error:e.message}); }
 });
 
 // Join wheel (pay entry fee)
-app.post('/api/wheels/:id/join', async (req,res)=>{
-  const wheelId = Number(req.params.id);
-  const {user_id} = req.body;
+app.post('/api/wheels/:id/join', auth.requireAuth, rateLimit.limit('join'), v.validate({params: byId, body: noBody}), idempotent(), async (req,res)=>{
+  const wheelId = req.params.id;
+  const user_id = req.user.id;
   const client = await pool.connect();
   try{
     await client.query('BEGIN');
@@ -92,15 +326,25 @@ app.post('/api/wheels/:id/join', async (req,res)=>{
     if(wq.rowCount===0) throw new Error('wheel not found');
     const wheel = wq.rows[0];
     if(wheel.status!=='pending') throw new Error('wheel not joinable');
+    // tournament wheels are seated by tournaments.js
+    if(wheel.tournament_id) throw new Error('tournament wheel');
     // lock user
     const uq = await client.query('SELECT * FROM users WHERE id=$1 FOR UPDATE', [user_id]);
     if(uq.rowCount===0) throw new Error('user not found');
     const user = uq.rows[0];
+    // one participation per user per wheel (also enforced by a unique index)
+    const dup = await client.query('SELECT 1 FROM spin_participants WHERE wheel_id=$1 AND user_id=$2', [wheelId, user_id]);
+    if(dup.rowCount) throw new Error('already joined');
+    if(wheel.max_participants!=null){
+      const n = await client.query('SELECT COUNT(*) FROM spin_participants WHERE wheel_id=$1', [wheelId]);
+      if(Number(n.rows[0].count) >= wheel.max_participants) throw new Error('wheel full');
+    }
     if(Number(user.coins) < Number(wheel.entry_fee)) throw new Error('insufficient coins');
-    // deduct coins
-    const newCoins = Number(user.coins) - Number(wheel.entry_fee);
-    await client.query('UPDATE users SET coins=$1 WHERE id=$2', [newCoins, user_id]);
-    await client.query("INSERT INTO transactions (user_id, amount, type, meta) VALUES ($1,$2,$3,$4)",[user_id, -wheel.entry_fee, 'debit', JSON.stringify({wheel:wheelId})]);
+    // move the entry fee from the player's wallet into the wheel's escrow
+    await ledger.post(client, {kind:'join', wheelId, entries:[
+      {account: ledger.userAccount(user_id), amount: -Number(wheel.entry_fee)},
+      {account: ledger.escrowAccount(wheelId), amount: Number(wheel.entry_fee)}
+    ]});
     // fee split
     const splits = await getConfigSplit();
     const winnerAmt = Math.floor(wheel.entry_fee * splits.winner_pct/100);
@@ -109,12 +353,14 @@ app.post('/api/wheels/:id/join', async (req,res)=>{
     // update accumulators on wheel
     await client.query('UPDATE spin_wheels SET winner_pool = winner_pool + $1, admin_pool = admin_pool + $2, app_pool = app_pool + $3 WHERE id=$4',
       [winnerAmt, adminAmt, appAmt, wheelId]);
-    // add participant
-    await client.query('INSERT INTO spin_participants (wheel_id, user_id) VALUES ($1,$2)', [wheelId, user_id]);
+    // add participant, remembering this join's split so leaving can reverse it exactly
+    await client.query(`INSERT INTO spin_participants (wheel_id, user_id, paid_fee, winner_share, admin_share, app_share)
+      VALUES ($1,$2,$3,$4,$5,$6)`, [wheelId, user_id, Number(wheel.entry_fee), winnerAmt, adminAmt, appAmt]);
     await client.query('COMMIT');
     // emit update
     const participants = await query('SELECT p.*, u.username FROM spin_participants p JOIN users u ON p.user_id=u.id WHERE wheel_id=$1', [wheelId]);
-    io.emit('participantJoined', {wheelId, participants: participants.rows});
+    await emitWheel(wheelId, 'participantJoined', {wheelId, participants: participants.rows});
+    await emitPools(wheelId);
     res.json({ok:true});
   }catch(e){
     await client.query('ROLLBACK').catch(()=>{});
@@ -124,26 +370,64 @@ app.post('/api/wheels/:id/join', async (req,res)=>{
   }
 });
 
-// Manual start by admin
-app.post('/api/wheels/:id/start', async (req,res)=>{
-  const wheelId = Number(req.params.id);
-  const {owner_id} = req.body;
+// Leave a wheel that has not started yet: the entry fee is refunded and this
+// join's shares are taken back out of the pools
+app.post('/api/wheels/:id/leave', auth.requireAuth, rateLimit.limit('join'), v.validate({params: byId, body: noBody}), idempotent(), async (req,res)=>{
+  const wheelId = req.params.id;
+  const user_id = req.user.id;
+  const client = await pool.connect();
+  try{
+    await client.query('BEGIN');
+    const wq = await client.query('SELECT * FROM spin_wheels WHERE id=$1 FOR UPDATE', [wheelId]);
+    if(wq.rowCount===0) throw new Error('wheel not found');
+    const wheel = wq.rows[0];
+    if(wheel.status!=='pending') throw new Error('wheel already started');
+    if(wheel.tournament_id) throw new Error('tournament wheel');
+    const pq = await client.query('SELECT * FROM spin_participants WHERE wheel_id=$1 AND user_id=$2 FOR UPDATE', [wheelId, user_id]);
+    if(!pq.rowCount) throw new Error('not joined');
+    const part = pq.rows[0];
+    const fee = Number(part.paid_fee ?? wheel.entry_fee);
+    let shares = {winner: part.winner_share, admin: part.admin_share, app: part.app_share};
+    if(part.winner_share==null){
+      // joined before shares were recorded: split with the current config
+      const splits = await getConfigSplit();
+      const winner = Math.floor(fee * splits.winner_pct/100), admin = Math.floor(fee * splits.admin_pct/100);
+      shares = {winner, admin, app: fee - winner - admin};
+    }
+    await ledger.post(client, {kind:'refund', wheelId, meta:{reason:'left'}, entries:[
+      {account: ledger.escrowAccount(wheelId), amount: -fee},
+      {account: ledger.userAccount(user_id), amount: fee}
+    ]});
+    await client.query('UPDATE spin_wheels SET winner_pool = winner_pool - $1, admin_pool = admin_pool - $2, app_pool = app_pool - $3 WHERE id=$4',
+      [Number(shares.winner), Number(shares.admin), Number(shares.app), wheelId]);
+    await client.query('DELETE FROM spin_participants WHERE id=$1', [part.id]);
+    await client.query('COMMIT');
+    const participants = await query('SELECT p.*, u.username FROM spin_participants p JOIN users u ON p.user_id=u.id WHERE wheel_id=$1', [wheelId]);
+    await emitWheel(wheelId, 'participantLeft', {wheelId, user_id, username: req.user.username, participants: participants.rows});
+    await emitPools(wheelId);
+    res.json({ok:true, refunded: fee});
+  }catch(e){
+    await client.query('ROLLBACK').catch(()=>{});
+    res.status(400).json({error: e.message});
+  }finally{
+    client.release();
+  }
+});
+
+// Manual start by admin; `force: true` starts below min_participants (needs 2 players, audited)
+app.post('/api/wheels/:id/start', auth.requireAuth, auth.requireAdmin, v.validate({params: byId, body: v.object({
+  force: v.boolean({default: false})
+})}), idempotent(), async (req,res)=>{
+  const wheelId = req.params.id;
+  const force = req.body.force;
   try{
-    // validate owner is admin and wheel pending
-    const ow = await query('SELECT is_admin FROM users WHERE id=$1',[owner_id]);
-    if(!ow.rowCount || !ow.rows[0].is_admin) return res.status(403).json({error:'only admin'});
     const wq = await query('SELECT * FROM spin_wheels WHERE id=$1',[wheelId]);
     if(!wq.rowCount) return res.status(404).json({error:'wheel not found'});
     const wheel = wq.rows[0];
-    if(wheel.status!=='pending') return res.status(400).json({error:'wheel not startable'});
-    // check participants
-    const parts = await query('SELECT COUNT(*) FROM spin_participants WHERE wheel_id=$1',[wheelId]);
-    const count = Number(parts.rows[0].count || 0);
-    if(count < wheel.min_participants) return res.status(400).json({error:'not enough participants'});
-    // mark active and start elimination
-    await query("UPDATE spin_wheels SET status='active', started_at=now() WHERE id=$1", [wheelId]);
-    io.emit('wheelStarted', {wheelId});
-    startElimination(wheelId);
+    const started = await beginElimination(wheel, {minParticipants: force ? 2 : wheel.min_participants});
+    if(started.error) return res.status(400).json({error: started.error});
+    if(started.participants < wheel.min_participants) await audit(req.user.id, 'wheel_force_start', `wheel:${wheelId}`, {participants: started.participants, min_participants: wheel.min_participants});
+    await scheduler.cancel(wheelId, 'autostart');
     res.json({ok:true});
   }catch(e){ console.error(e); res.status(500).json({error:e.message}); }
 });
@@ -155,126 +439,331 @@ async function autoStartWheel(wheelId){
   try{
     const wq = await query('SELECT * FROM spin_wheels WHERE id=$1',[wheelId]);
     if(!wq.rowCount) return;
-    const wheel = wq.rows[0];
-    if(wheel.status!=='pending') return;
-    const parts = await query('SELECT COUNT(*) FROM spin_participants WHERE wheel_id=$1',[wheelId]);
-    const count = Number(parts.rows[0].count || 0);
-    if(count < wheel.min_participants){
-      // abort and refund
-      await refundWheel(wheelId, 'not_enough_participants');
-      io.emit('wheelAborted', {wheelId, reason:'not_enough_participants'});
-      return;
-    }
-    await query("UPDATE spin_wheels SET status='active', started_at=now() WHERE id=$1", [wheelId]);
-    io.emit('wheelStarted', {wheelId});
-    startElimination(wheelId);
+    const started = await beginElimination(wq.rows[0]);
+    if(started.error===NOT_ENOUGH) await abortWheel(wheelId, {reason:'not_enough_participants'});
   }catch(e){ console.error('autoStart error', e); }
 }
 
+const NOT_ENOUGH = 'not enough participants';
+
+/**
+ * Mark a pending wheel active and schedule its first elimination. Status and
+ * participant count are checked under the wheel lock that join, leave and
+ * refundWheel also take, so the wheel cannot start after an abort or with a
+ * player who has left. Returns {participants} or {error}.
+ */
+async function beginElimination(wheel, {minParticipants = wheel.min_participants} = {}){
+  const client = await pool.connect();
+  let participants;
+  try{
+    await client.query('BEGIN');
+    const wq = await client.query('SELECT status FROM spin_wheels WHERE id=$1 FOR UPDATE', [wheel.id]);
+    if(!wq.rowCount || wq.rows[0].status!=='pending'){ await client.query('ROLLBACK'); return {error:'wheel not startable'}; }
+    const parts = await client.query('SELECT COUNT(*) FROM spin_participants WHERE wheel_id=$1', [wheel.id]);
+    participants = Number(parts.rows[0].count);
+    if(participants < minParticipants){ await client.query('ROLLBACK'); return {error: NOT_ENOUGH}; }
+    await client.query("UPDATE spin_wheels SET status='active', started_at=now() WHERE id=$1", [wheel.id]);
+    await client.query('COMMIT');
+  }catch(e){ await client.query('ROLLBACK').catch(()=>{}); throw e; }finally{ client.release(); }
+  const nextEliminationAt = await startElimination(wheel);
+  await emitLifecycle(wheel.id, 'wheelStarted', {wheelId: wheel.id, nextEliminationAt});
+  return {participants};
+}
+
+const REFUND_POLICIES = ['full', 'keep_fees'];
+const WHEEL_STATUSES = ['scheduled', 'pending', 'active', 'finished', 'aborted'];
+
 /**
- * Refund all participants (called when wheel aborted)
+ * Abort a scheduled, pending or active wheel: cancel its jobs, refund participants per
+ * `policy` (see refundWheel) and announce 'wheelAborted'. Returns the status
+ * the wheel was aborted from, or false if it had already finished or been aborted.
  */
-async function refundWheel(wheelId, reason){
+async function abortWheel(wheelId, {reason, policy = 'full'}){
+  await scheduler.cancel(wheelId, 'open');
+  await scheduler.cancel(wheelId, 'autostart');
+  await scheduler.cancel(wheelId, 'eliminate');
+  const from = await refundWheel(wheelId, reason, policy);
+  if(!from) return false;
+  await emitLifecycle(wheelId, 'wheelAborted', {wheelId, reason, policy});
+  await emitPools(wheelId);
+  await tournaments.wheelAborted(wheelId, reason);
+  return from;
+}
+
+/**
+ * Refund the participants of a pending/active wheel and mark it aborted.
+ * - full: everyone gets their entry fee back.
+ * - keep_fees: everyone gets back their winner-pool share; the admin and app
+ *   shares go to the host and the house as if the wheel had finished.
+ * Returns the status read under the wheel lock, or false (and changes
+ * nothing) if the wheel is no longer running.
+ */
+async function refundWheel(wheelId, reason, policy = 'full'){
   const client = await pool.connect();
   try{
     await client.query('BEGIN');
-    const parts = await client.query('SELECT user_id FROM spin_participants WHERE wheel_id=$1 FOR UPDATE',[wheelId]);
+    const wq = await client.query('SELECT status, owner_id, entry_fee FROM spin_wheels WHERE id=$1 FOR UPDATE', [wheelId]);
+    if(!wq.rowCount || !['scheduled','pending','active'].includes(wq.rows[0].status)){ await client.query('ROLLBACK'); return false; }
+    const {status, owner_id, entry_fee} = wq.rows[0];
+    const parts = await client.query('SELECT user_id, paid_fee, admin_share, app_share FROM spin_participants WHERE wheel_id=$1 ORDER BY id FOR UPDATE', [wheelId]);
+    let hostFees = 0, houseFees = 0;
     for(const p of parts.rows){
-      // credit each user entry_fee back (naive: look up wheel's entry_fee)
-      const w = await client.query('SELECT entry_fee FROM spin_wheels WHERE id=$1',[wheelId]);
-      const fee = Number(w.rows[0].entry_fee);
-      await client.query('UPDATE users SET coins = coins + $1 WHERE id=$2',[fee, p.user_id]);
-      await client.query('INSERT INTO transactions (user_id, amount, type, meta) VALUES ($1,$2,$3,$4)', [p.user_id, fee, 'credit', JSON.stringify({wheel:wheelId, reason})]);
+      const fee = Number(p.paid_fee ?? entry_fee);
+      if(!fee) continue; // free seat (tournament wheel)
+      const kept = policy==='keep_fees' ? Number(p.admin_share || 0) + Number(p.app_share || 0) : 0;
+      if(policy==='keep_fees'){ hostFees += Number(p.admin_share || 0); houseFees += Number(p.app_share || 0); }
+      await ledger.post(client, {kind:'refund', wheelId, meta:{reason, policy}, entries:[
+        {account: ledger.escrowAccount(wheelId), amount: -(fee - kept)},
+        {account: ledger.userAccount(p.user_id), amount: fee - kept}
+      ]});
+    }
+    if(houseFees){
+      await ledger.post(client, {kind:'payout', wheelId, meta:{role:'abort_fees', reason}, entries:[
+        {account: ledger.escrowAccount(wheelId), amount: -houseFees},
+        {account: ledger.HOUSE, amount: houseFees}
+      ]});
     }
-    await client.query("UPDATE spin_wheels SET status='aborted', finished_at=now() WHERE id=$1", [wheelId]);
+    await payHost(client, wheelId, owner_id, hostFees, {reason});
+    await client.query("UPDATE spin_wheels SET status='aborted', finished_at=now(), abort_reason=$2, refund_policy=$3 WHERE id=$1", [wheelId, reason, policy]);
     await client.query('COMMIT');
-  }catch(e){ await client.query('ROLLBACK').catch(()=>{}); console.error('refund error', e); }finally{ client.release(); }
+    return status;
+  }catch(e){ await client.query('ROLLBACK').catch(()=>{}); console.error('refund error', e); throw e; }finally{ client.release(); }
 }
 
 /**
- * Start elimination loop: eliminate one user every 7 seconds until one remains.
+ * Start elimination loop: every round removes the wheel's eliminations_per_round
+ * users (always leaving one) until one remains; rounds are spaced by
+ * rules.eliminationDelay. Each round is a persisted 'eliminate' job, so the loop
+ * survives restarts and always works from the participants still active in the database.
  */
-async function startElimination(wheelId){
-  // load participants (random order)
-  const parts = await query('SELECT p.id, p.user_id, u.username FROM spin_participants p JOIN users u ON p.user_id=u.id WHERE wheel_id=$1 AND p.eliminated_at IS NULL', [wheelId]);
-  let participants = parts.rows.slice();
-  if(participants.length===0) return;
-  // shuffle
-  participants = participants.sort(()=> Math.random()-0.5);
-  let idx = 0;
-  async function eliminateOne(){
-    // re-query active participants to make sure count up-to-date
-    const active = await query('SELECT id, user_id FROM spin_participants WHERE wheel_id=$1 AND eliminated_at IS NULL', [wheelId]);
-    if(active.rowCount <= 1){
-      // declare winner
-      const remaining = active.rows;
-      if(remaining.length===1){
-        await finalizeWinner(wheelId, remaining[0].user_id);
-      } else {
-        // no participants left
-        await query("UPDATE spin_wheels SET status='finished', finished_at=now() WHERE id=$1", [wheelId]);
-      }
-      return;
+async function startElimination(wheel){
+  const firstAt = new Date(Date.now() + rules.eliminationDelay(wheel, 1));
+  await scheduler.schedule(wheel.id, 'eliminate', firstAt);
+  return firstAt;
+}
+
+async function eliminateOne(wheelId, runAt){
+  const wq = await query('SELECT * FROM spin_wheels WHERE id=$1', [wheelId]);
+  if(!wq.rowCount || wq.rows[0].status!=='active') return;
+  const wheel = wq.rows[0];
+  const active = await query('SELECT id, user_id FROM spin_participants WHERE wheel_id=$1 AND eliminated_at IS NULL ORDER BY id', [wheelId]);
+  if(active.rowCount <= 1){
+    // declare winner
+    const remaining = active.rows;
+    if(remaining.length===1){
+      await finalizeWinner(wheelId, remaining[0].user_id);
+    } else {
+      // no participants left
+      await query("UPDATE spin_wheels SET status='finished', finished_at=now() WHERE id=$1 AND status='active'", [wheelId]);
     }
-    // eliminate the next participant in the shuffled array who is still active
-    let eliminated = null;
-    while(idx < participants.length){
-      const cand = participants[idx++];
-      const check = await query('SELECT * FROM spin_participants WHERE id=$1 AND eliminated_at IS NULL', [cand.id]);
-      if(check.rowCount>0){ eliminated = cand; break; }
+    return;
+  }
+  const done = await eliminateRound(wheel, runAt);
+  if(!done) return; // aborted, or this job already ran
+  const {proofs, nextEliminationAt} = done;
+  // arm the next round (its job row was moved with the round)
+  await scheduler.schedule(wheelId, 'eliminate', nextEliminationAt);
+  // emit elimination events
+  for(const proof of proofs){
+    const user = await query('SELECT username FROM users WHERE id=$1',[proof.eliminated_user_id]);
+    await emitWheel(wheelId, 'userEliminated', {wheelId, user_id: proof.eliminated_user_id, username: user.rows[0].username,
+      round: proof.round, hmac: proof.hmac, eliminatedAt: proof.created_at, nextEliminationAt});
+  }
+}
+
+/**
+ * One elimination round, in one transaction under the wheel lock: removes the
+ * wheel's eliminations_per_round players (always leaving one) and moves the
+ * 'eliminate' job due at `runAt` on to the next round. Returns
+ * {proofs, nextEliminationAt}, or null if the wheel is no longer active
+ * (aborted meanwhile) or the job has already moved (a concurrent or repeated
+ * run), so a round is never applied twice.
+ *
+ * Provably fair: elimination r (= eliminated_order, 1 = first out) picks
+ * candidates[uniformIndex(seed, r, candidates.length)] where candidates are
+ * the active participants ordered by participant id; each pick is written
+ * with its proof row.
+ */
+async function eliminateRound(wheel, runAt){
+  const wheelId = wheel.id;
+  const client = await pool.connect();
+  try{
+    await client.query('BEGIN');
+    const wq = await client.query('SELECT status FROM spin_wheels WHERE id=$1 FOR UPDATE', [wheelId]);
+    if(!wq.rowCount || wq.rows[0].status!=='active'){ await client.query('ROLLBACK'); return null; }
+    const candidates = await client.query('SELECT id, user_id FROM spin_participants WHERE wheel_id=$1 AND eliminated_at IS NULL ORDER BY id', [wheelId]);
+    let active = candidates.rows;
+    const last = await client.query('SELECT COALESCE(MAX(eliminated_order),0) AS n FROM spin_participants WHERE wheel_id=$1', [wheelId]);
+    const perRound = Math.min(wheel.eliminations_per_round, active.length - 1);
+    const firstRound = Number(last.rows[0].n) + 1;
+    // next round is spaced by the wheel's (possibly accelerating) interval
+    const roundsDone = Math.ceil((firstRound + perRound - 1) / wheel.eliminations_per_round);
+    const nextEliminationAt = new Date(Date.now() + rules.eliminationDelay(wheel, roundsDone + 1));
+    const job = await client.query(`UPDATE wheel_jobs SET run_at=$3 WHERE wheel_id=$1 AND kind='eliminate' AND run_at=$2`,
+      [wheelId, runAt, nextEliminationAt]);
+    if(!job.rowCount || perRound < 1){ await client.query('ROLLBACK'); return null; }
+    const proofs = [];
+    for(let round = firstRound; round < firstRound + perRound; round++){
+      const pickIndex = fairness.uniformIndex(wheel.server_seed, round, active.length);
+      const eliminated = active[pickIndex];
+      await client.query('UPDATE spin_participants SET eliminated_at=now(), eliminated_order=$1 WHERE id=$2', [round, eliminated.id]);
+      const r = await client.query(`INSERT INTO elimination_proofs (wheel_id, round, candidates, hmac, pick_index, eliminated_user_id)
+        VALUES ($1,$2,$3,$4,$5,$6) RETURNING *`,
+        [wheelId, round, JSON.stringify(active.map(p=> p.user_id)), fairness.roundHmac(wheel.server_seed, round), pickIndex, eliminated.user_id]);
+      proofs.push(r.rows[0]);
+      active = active.filter(p=> p.id!==eliminated.id);
     }
-    if(!eliminated){
-      // fallback: pick first active
-      const cand2 = active.rows[0];
-      eliminated = {id:cand2.id, user_id:cand2.user_id};
+    await client.query('COMMIT');
+    return {proofs, nextEliminationAt};
+  }catch(e){ await client.query('ROLLBACK').catch(()=>{}); throw e; }finally{ client.release(); }
+}
+
+scheduler.on('open', openWheel);
+scheduler.on('autostart', autoStartWheel);
+scheduler.on('eliminate', eliminateOne);
+
+/**
+ * Boot-time recovery for pending/active wheels that no live node owns (their
+ * previous node stopped; see scheduler.js for leases):
+ * - scheduled / pending: the lobby carries on; the stored open and auto-start
+ *   deadlines are re-armed (or set from opens_at / starts_at / created_at if missing).
+ * - active, WHEEL_RECOVERY=resume (default): the elimination loop continues
+ *   from the last eliminated_order; an overdue round runs immediately.
+ * - active, WHEEL_RECOVERY=abort: the wheel is aborted and everyone refunded.
+ * The lease is taken first, so two nodes booting together cannot both act.
+ * Afterwards the scheduler loop keeps taking over wheels orphaned by nodes
+ * that go away while this one is running (always resuming them).
+ */
+async function recoverWheels(){
+  const wheels = await query(`SELECT w.id, w.status, w.created_at, w.lobby_seconds, w.starts_at, w.opens_at FROM spin_wheels w
+    WHERE w.status IN ('scheduled','pending','active')
+    AND NOT EXISTS (SELECT 1 FROM wheel_leases l WHERE l.wheel_id=w.id AND l.expires_at > now())`);
+  for(const w of wheels.rows){
+    if(!await scheduler.acquire(w.id)) continue;
+    if(w.status==='scheduled' || w.status==='pending'){
+      if(w.status==='scheduled' && !await scheduler.getJob(w.id, 'open')){
+        await scheduler.schedule(w.id, 'open', new Date(w.opens_at));
+      }
+      if(!await scheduler.getJob(w.id, 'autostart')){
+        const startAt = w.starts_at ? new Date(w.starts_at) : new Date(new Date(w.created_at).getTime() + w.lobby_seconds * 1000);
+        await scheduler.schedule(w.id, 'autostart', startAt);
+      }
+    } else if(WHEEL_RECOVERY==='abort'){
+      await abortWheel(w.id, {reason:'server_restart'});
+    } else if(!await scheduler.getJob(w.id, 'eliminate')){
+      await scheduler.schedule(w.id, 'eliminate', new Date());
     }
-    // mark eliminated
-    await query('UPDATE spin_participants SET eliminated_at=now(), eliminated_order=(SELECT COUNT(*) FROM spin_participants WHERE wheel_id=$1) WHERE id=$2', [wheelId, eliminated.id]);
-    // emit elimination event
-    const user = await query('SELECT username FROM users WHERE id=$1',[eliminated.user_id]);
-    io.emit('userEliminated', {wheelId, user_id: eliminated.user_id, username: user.rows[0].username});
-    // schedule next elimination after 7 seconds
-    setTimeout(eliminateOne, 7000);
   }
-  // start first elimination after 7s
-  setTimeout(eliminateOne, 7000);
+  await tournaments.resumeStalled();
+  await stats.catchUp();
+  await scheduler.start();
+}
+
+/**
+ * The owner's share of a wheel's fees goes straight to their wallet, as a
+ * posting of its own so their history shows it as host fees.
+ */
+async function payHost(client, wheelId, ownerId, amount, meta = {}){
+  if(!amount) return;
+  await ledger.post(client, {kind:'payout', wheelId, meta:{role:'admin', ...meta}, entries:[
+    {account: ledger.escrowAccount(wheelId), amount: -amount},
+    {account: ledger.userAccount(ownerId), amount}
+  ]});
 }
 
 /**
- * Finalize winner: credit winner_pool and admin_pool appropriately.
+ * Finalize winner: empty the wheel's escrow — winner_pool split by finishing
+ * position per the wheel's payout_table (see rules.payoutShares) and app_pool
+ * to the house in one posting, admin_pool to the owner's wallet (payHost).
+ * Places are 1 for the survivor, then reverse elimination order (last out = 2nd).
  */
 async function finalizeWinner(wheelId, winnerUserId){
   const client = await pool.connect();
   try{
     await client.query('BEGIN');
-    // lock wheel
-    const wq = await client.query('SELECT winner_pool, admin_pool, owner_id FROM spin_wheels WHERE id=$1 FOR UPDATE', [wheelId]);
+    // lock wheel; an abort that got there first has already refunded the escrow
+    const wq = await client.query('SELECT status, winner_pool, admin_pool, app_pool, owner_id, server_seed, server_seed_hash, payout_table, tournament_id FROM spin_wheels WHERE id=$1 FOR UPDATE', [wheelId]);
     if(wq.rowCount===0) throw new Error('wheel missing');
-    const {winner_pool, admin_pool, owner_id} = wq.rows[0];
-    // credit winner
-    if(Number(winner_pool) > 0){
-      await client.query('UPDATE users SET coins = coins + $1 WHERE id=$2', [winner_pool, winnerUserId]);
-      await client.query('INSERT INTO transactions (user_id, amount, type, meta) VALUES ($1,$2,$3,$4)', [winnerUserId, winner_pool, 'credit', JSON.stringify({wheel:wheelId,role:'winner'})]);
-    }
-    // credit admin (owner)
-    if(Number(admin_pool) > 0){
-      await client.query('UPDATE users SET coins = coins + $1 WHERE id=$2', [admin_pool, owner_id]);
-      await client.query('INSERT INTO transactions (user_id, amount, type, meta) VALUES ($1,$2,$3,$4)', [owner_id, admin_pool, 'credit', JSON.stringify({wheel:wheelId,role:'admin'})]);
+    if(wq.rows[0].status!=='active'){ await client.query('ROLLBACK'); return; }
+    const {winner_pool, admin_pool, app_pool, owner_id, server_seed, server_seed_hash, payout_table, tournament_id} = wq.rows[0];
+    const parts = await client.query(`SELECT p.id, p.user_id, u.username, p.eliminated_order FROM spin_participants p JOIN users u ON p.user_id=u.id
+      WHERE p.wheel_id=$1 ORDER BY (p.user_id=$2) DESC, p.eliminated_order DESC NULLS LAST`, [wheelId, winnerUserId]);
+    const shares = rules.payoutShares(Number(winner_pool), payout_table, parts.rowCount);
+    const standings = parts.rows.map((p, i)=> ({place: i + 1, user_id: p.user_id, username: p.username, eliminated_order: p.eliminated_order, payout: shares[i] || 0}));
+    const total = Number(winner_pool) + Number(admin_pool) + Number(app_pool);
+    // tournament wheels hold no coins; their prizes are paid by tournaments.js
+    if(total - Number(admin_pool)) await ledger.post(client, {kind:'payout', wheelId, meta:{role:'winner', winner: winnerUserId, places: standings.filter(s=> s.payout).map(s=> [s.user_id, s.place])}, entries:[
+      {account: ledger.escrowAccount(wheelId), amount: -(total - Number(admin_pool))},
+      ...standings.filter(s=> s.payout).map(s=> ({account: ledger.userAccount(s.user_id), amount: s.payout})),
+      {account: ledger.HOUSE, amount: Number(app_pool)}
+    ]});
+    await payHost(client, wheelId, owner_id, Number(admin_pool));
+    for(const [i, s] of standings.entries()){
+      await client.query('UPDATE spin_participants SET final_place=$1, payout=$2 WHERE id=$3', [s.place, s.payout, parts.rows[i].id]);
     }
     await client.query("UPDATE spin_wheels SET status='finished', finished_at=now() WHERE id=$1", [wheelId]);
     await client.query('COMMIT');
-    io.emit('wheelFinished', {wheelId, winnerUserId});
+    await stats.record(stats.recordWheel, wheelId);
+    // reveal the seed with every round's proof so clients can audit the game
+    const proofs = await query('SELECT * FROM elimination_proofs WHERE wheel_id=$1 ORDER BY round', [wheelId]);
+    await emitLifecycle(wheelId, 'wheelFinished', {wheelId, winnerUserId, standings, serverSeed: server_seed, serverSeedHash: server_seed_hash, proofs: proofs.rows});
+    if(tournament_id) await tournaments.wheelFinished(wheelId);
   }catch(e){ await client.query('ROLLBACK').catch(()=>{}); console.error('finalize error', e); }finally{ client.release(); }
 }
 
+const tournaments = require('./tournaments')(app, io, {LOBBY, insertWheel, beginElimination, abortWheel, emitLifecycle, publicWheel, audit});
+
 /**
  * Utility endpoints for demo
  */
 app.get('/api/wheels', async (req,res)=>{
-  const r = await query('SELECT * FROM spin_wheels ORDER BY id DESC LIMIT 10');
-  res.json(r.rows);
+  // every running wheel plus the 10 most recent ones
+  const r = await query(`SELECT * FROM spin_wheels WHERE status IN ('scheduled','pending','active')
+    OR id IN (SELECT id FROM spin_wheels ORDER BY id DESC LIMIT 10) ORDER BY id DESC`);
+  res.json(r.rows.map(publicWheel));
+});
+// Lobby view of what is coming up: scheduled / not yet started wheels with a
+// start time, and the next start of every active recurring template
+app.get('/api/wheels/upcoming', async (req,res)=>{
+  try{
+    const wheels = await query(`SELECT * FROM spin_wheels WHERE status IN ('scheduled','pending') AND starts_at > now()
+      ORDER BY starts_at LIMIT 50`);
+    const templates = await query(`SELECT id, name, entry_fee, every_minutes, next_start_at, rules->'max_participants' AS max_participants
+      FROM wheel_templates WHERE active ORDER BY next_start_at`);
+    res.json({wheels: wheels.rows.map(publicWheel), templates: templates.rows});
+  }catch(e){ console.error(e); res.status(500).json({error:e.message}); }
 });
-app.get('/api/wheels/:id/participants', async (req,res)=>{
+// Audit trail for the elimination game; server_seed appears once the wheel is over
+app.get('/api/wheels/:id/proofs', v.validate({params: byId}), async (req,res)=>{
+  const wq = await query('SELECT id, status, server_seed, server_seed_hash FROM spin_wheels WHERE id=$1', [req.params.id]);
+  if(!wq.rowCount) return res.status(404).json({error:'wheel not found'});
+  const proofs = await query('SELECT * FROM elimination_proofs WHERE wheel_id=$1 ORDER BY round', [req.params.id]);
+  const w = publicWheel(wq.rows[0]);
+  res.json({wheelId: w.id, serverSeedHash: w.server_seed_hash, serverSeed: w.server_seed || null, proofs: proofs.rows});
+});
+// The same trail with every round recomputed from the revealed seed (the
+// browser's FairnessVerifier redoes this on its own)
+app.get('/api/wheels/:id/verify', v.validate({params: byId}), async (req,res)=>{
+  try{
+    const wq = await query('SELECT id, status, server_seed, server_seed_hash FROM spin_wheels WHERE id=$1', [req.params.id]);
+    if(!wq.rowCount) return res.status(404).json({error:'wheel not found'});
+    const w = publicWheel(wq.rows[0]);
+    if(!w.server_seed) return res.json({wheelId: w.id, status: w.status, serverSeedHash: w.server_seed_hash, revealed: false});
+    const proofs = await query('SELECT * FROM elimination_proofs WHERE wheel_id=$1 ORDER BY round', [w.id]);
+    const winner = await query('SELECT user_id FROM spin_participants WHERE wheel_id=$1 AND final_place=1', [w.id]);
+    res.json({
+      wheelId: w.id, status: w.status, revealed: true,
+      serverSeed: w.server_seed, serverSeedHash: w.server_seed_hash, recomputedHash: fairness.hashSeed(w.server_seed),
+      winnerUserId: winner.rowCount ? winner.rows[0].user_id : null,
+      rounds: proofs.rows.map(p=> ({
+        round: p.round, candidates: p.candidates, hmac: p.hmac, pickIndex: p.pick_index, eliminatedUserId: p.eliminated_user_id,
+        recomputedHmac: fairness.roundHmac(w.server_seed, p.round),
+        recomputedIndex: fairness.uniformIndex(w.server_seed, p.round, p.candidates.length)
+      }))
+    });
+  }catch(e){ console.error(e); res.status(500).json({error:e.message}); }
+});
+app.get('/api/wheels/:id/participants', v.validate({params: byId}), async (req,res)=>{
   const r = await query('SELECT p.*, u.username FROM spin_participants p JOIN users u ON p.user_id=u.id WHERE wheel_id=$1', [req.params.id]);
   res.json(r.rows);
 });
@@ -282,9 +771,271 @@ app.get('/api/users', async (req,res)=>{
   const r = await query('SELECT id,username,coins,is_admin FROM users');
   res.json(r.rows);
 });
+// wins, games, average place, net coins and streaks (all time, today, this week)
+app.get('/api/users/:id/stats', v.validate({params: byId}), async (req,res)=>{
+  try{
+    const s = await stats.playerStats(req.params.id);
+    if(!s) return res.status(404).json({error:'user not found'});
+    res.json(s);
+  }catch(e){ console.error(e); res.status(500).json({error:e.message}); }
+});
+// Wallet history (see history.js); players see their own, admins anyone's.
+// ?type=credit|debit&kind=<posting kind>&wheel=&from=&to=&before=&limit=
+app.get('/api/users/:id/transactions', auth.requireAuth, v.validate({params: byId, query: v.object(history.FILTERS)}), async (req,res)=>{
+  try{
+    const userId = req.params.id;
+    if(userId!==req.user.id && !req.user.is_admin) return res.status(403).json({error:'not your wallet'});
+    res.json(await history.listTransactions(userId, req.query));
+  }catch(e){ console.error(e); res.status(500).json({error:e.message}); }
+});
+// same filters, every matching row at once: ?format=csv (default) or json
+app.get('/api/users/:id/transactions/export', auth.requireAuth, v.validate({params: byId, query: v.object({
+  ...history.FILTERS,
+  format: v.oneOf(['csv', 'json'], {default: 'csv'})
+})}), async (req,res)=>{
+  try{
+    const userId = req.params.id;
+    if(userId!==req.user.id && !req.user.is_admin) return res.status(403).json({error:'not your wallet'});
+    const {format, ...filters} = req.query;
+    const {transactions, nextBefore} = await history.listTransactions(userId, filters, {all: true});
+    if(nextBefore) return v.invalid(res, `more than ${history.MAX_EXPORT} transactions match; narrow the filters (from / to, type, kind, wheel)`);
+    res.attachment(`transactions-${userId}.${format}`);
+    if(format==='json') return res.json(transactions);
+    res.type('text/csv').send(history.toCsv(transactions));
+  }catch(e){ console.error(e); res.status(500).json({error:e.message}); }
+});
+// ?period=day|week|all&metric=wins|net_coins|games_played|avg_place&limit=
+app.get('/api/leaderboard', v.validate({query: v.object({
+  period: v.oneOf(stats.PERIODS, {default: 'all'}),
+  metric: v.oneOf(stats.METRICS, {default: 'wins'}),
+  limit: v.int({min: 1, max: 100, default: 20})
+})}), async (req,res)=>{
+  try{
+    res.json(await stats.leaderboard(req.query));
+  }catch(e){ console.error(e); res.status(500).json({error:e.message}); }
+});
+/**
+ * Admin console API. Every route requires an admin token; balance adjustments,
+ * fee split changes, forced starts and aborts are written to admin_audit.
+ */
+async function audit(adminId, action, target, details, client = {query}){
+  await client.query('INSERT INTO admin_audit (admin_id, action, target, details) VALUES ($1,$2,$3,$4)',
+    [adminId, action, target, JSON.stringify(details)]);
+}
+
+// live pool totals for the admin console
+async function emitPools(wheelId){
+  const r = await query(`SELECT w.id, w.status, w.winner_pool, w.admin_pool, w.app_pool,
+    (SELECT COUNT(*) FROM spin_participants p WHERE p.wheel_id=w.id) AS participants FROM spin_wheels w WHERE w.id=$1`, [wheelId]);
+  if(!r.rowCount) return;
+  const w = r.rows[0];
+  io.to(ADMIN_ROOM).emit('admin:pools', {wheelId, status: w.status, participants: Number(w.participants),
+    pools: {winner: Number(w.winner_pool), admin: Number(w.admin_pool), app: Number(w.app_pool)}});
+}
+
+// ?status=<comma-separated statuses> (default: the ones still running)
+app.get('/api/admin/wheels', auth.requireAuth, auth.requireAdmin, v.validate({query: v.object({
+  status: v.list(v.oneOf(WHEEL_STATUSES), {default: ['scheduled', 'pending', 'active']})
+})}), async (req,res)=>{
+  try{
+    const {status} = req.query;
+    const r = await query(`SELECT w.*, (SELECT COUNT(*) FROM spin_participants p WHERE p.wheel_id=w.id)::int AS participants
+      FROM spin_wheels w WHERE w.status = ANY($1) ORDER BY w.id DESC LIMIT 100`, [status]);
+    res.json(r.rows.map(publicWheel));
+  }catch(e){ console.error(e); res.status(500).json({error:e.message}); }
+});
+
+// Abort a pending or active wheel with a reason and a refund policy (full | keep_fees)
+app.post('/api/admin/wheels/:id/abort', auth.requireAuth, auth.requireAdmin, v.validate({params: byId, body: v.object({
+  reason: v.string({max: 200, default: 'admin_abort'}),
+  policy: v.oneOf(REFUND_POLICIES, {default: 'full'})
+})}), idempotent(), async (req,res)=>{
+  const wheelId = req.params.id;
+  const {reason, policy} = req.body;
+  try{
+    const wq = await query('SELECT 1 FROM spin_wheels WHERE id=$1', [wheelId]);
+    if(!wq.rowCount) return res.status(404).json({error:'wheel not found'});
+    // the status refundWheel saw under the wheel lock, not a read from before it
+    const status = await abortWheel(wheelId, {reason, policy});
+    if(!status) return res.status(400).json({error:'wheel not abortable'});
+    await audit(req.user.id, 'wheel_abort', `wheel:${wheelId}`, {reason, policy, status});
+    res.json({ok:true});
+  }catch(e){ console.error(e); res.status(500).json({error:e.message}); }
+});
+
+app.get('/api/admin/users', auth.requireAuth, auth.requireAdmin, v.validate({query: v.object({
+  q: v.string({max: 100, default: ''})
+})}), async (req,res)=>{
+  try{
+    const {q} = req.query;
+    const r = await query(`SELECT id, username, coins, is_admin, created_at FROM users
+      WHERE username ILIKE $1 OR id::text = $2 ORDER BY username LIMIT 50`, [`%${q.replace(/[%_\\]/g, '\\$&')}%`, q]);
+    res.json(r.rows);
+  }catch(e){ console.error(e); res.status(500).json({error:e.message}); }
+});
+
+// Credit (amount > 0) or debit (amount < 0) a wallet against 'external'
+app.post('/api/admin/users/:id/adjust', auth.requireAuth, auth.requireAdmin, v.validate({params: byId, body: v.object({
+  amount: v.int({min: -MAX_ADJUSTMENT, max: MAX_ADJUSTMENT}),
+  reason: v.string({max: 200})
+})}), idempotent(), async (req,res)=>{
+  const userId = req.params.id;
+  const {amount, reason} = req.body;
+  if(amount===0) return v.invalid(res, 'amount must not be 0', 'amount');
+  const client = await pool.connect();
+  try{
+    await client.query('BEGIN');
+    const u = await client.query('SELECT id FROM users WHERE id=$1', [userId]);
+    if(!u.rowCount){ await client.query('ROLLBACK'); return res.status(404).json({error:'user not found'}); }
+    const postingId = await ledger.post(client, {kind:'adjustment', meta:{reason, admin: req.user.id}, entries:[
+      {account: ledger.EXTERNAL, amount: -amount},
+      {account: ledger.userAccount(userId), amount}
+    ]});
+    await audit(req.user.id, 'balance_adjust', `user:${userId}`, {amount, reason, posting: postingId}, client);
+    const after = await client.query('SELECT id, username, coins, is_admin FROM users WHERE id=$1', [userId]);
+    await client.query('COMMIT');
+    res.json(after.rows[0]);
+  }catch(e){
+    await client.query('ROLLBACK').catch(()=>{});
+    if(e.message==='insufficient coins') return res.status(400).json({error:e.message});
+    console.error(e); res.status(500).json({error:e.message});
+  }finally{ client.release(); }
+});
+
+app.get('/api/admin/config/fees', auth.requireAuth, auth.requireAdmin, async (req,res)=>{
+  try{ res.json(await getConfigSplit()); }
+  catch(e){ console.error(e); res.status(500).json({error:e.message}); }
+});
+
+// Fee split for future joins; the three percentages must be integers summing to 100
+const percent = v.int({min: 0, max: 100});
+app.put('/api/admin/config/fees', auth.requireAuth, auth.requireAdmin, v.validate({body: v.object({
+  winner_pct: percent, admin_pct: percent, app_pct: percent
+})}), async (req,res)=>{
+  const split = req.body;
+  if(split.winner_pct + split.admin_pct + split.app_pct!==100) return v.invalid(res, 'percentages must sum to 100');
+  const client = await pool.connect();
+  try{
+    await client.query('BEGIN');
+    const before = await getConfigSplit();
+    for(const [k, pct] of Object.entries(split)){
+      await client.query(`INSERT INTO config (key, value) VALUES ($1,$2) ON CONFLICT (key) DO UPDATE SET value=EXCLUDED.value`, [`fee_split_${k}`, String(pct)]);
+    }
+    await audit(req.user.id, 'fee_split', 'config', {before, after: split}, client);
+    await client.query('COMMIT');
+    res.json(await getConfigSplit());
+  }catch(e){ await client.query('ROLLBACK').catch(()=>{}); console.error(e); res.status(500).json({error:e.message}); }finally{ client.release(); }
+});
+
+// Recurring wheel templates (see instantiateTemplates)
+app.get('/api/admin/templates', auth.requireAuth, auth.requireAdmin, async (req,res)=>{
+  try{
+    const r = await query('SELECT * FROM wheel_templates ORDER BY id');
+    res.json(r.rows);
+  }catch(e){ console.error(e); res.status(500).json({error:e.message}); }
+});
+
+// body: {name, entry_fee, every_minutes, first_start_at?, announce_minutes?, ...rule fields}
+app.post('/api/admin/templates', auth.requireAuth, auth.requireAdmin, rateLimit.limit('create'), v.validate({body: v.object({
+  name: v.string({max: 100}),
+  entry_fee: v.int({min: 1, max: MAX_ENTRY_FEE, default: 100}),
+  every_minutes: v.int({min: 1, max: MAX_SCHEDULE_AHEAD_MS / 60000}),
+  first_start_at: v.date({optional: true}),
+  announce_minutes: v.int({min: 0, max: MAX_SCHEDULE_AHEAD_MS / 60000, default: 15}),
+  ...rules.FIELDS
+})}), idempotent(), async (req,res)=>{
+  try{
+    const {name, entry_fee, every_minutes: every, first_start_at, announce_minutes: announce} = req.body;
+    const parsed = rules.parseRules(req.body);
+    if(parsed.error) return v.invalid(res, parsed.error);
+    let firstStart = new Date(Date.now() + every * 60000);
+    if(first_start_at){
+      const when = parseStartsAt(first_start_at, 'first_start_at');
+      if(when.error) return v.invalid(res, when.error, 'first_start_at');
+      firstStart = when.startsAt;
+    }
+    const r = await query(`INSERT INTO wheel_templates (name, owner_id, entry_fee, rules, every_minutes, next_start_at, announce_minutes)
+      VALUES ($1,$2,$3,$4,$5,$6,$7) RETURNING *`,
+      [name, req.user.id, entry_fee, JSON.stringify(parsed.rules), every, firstStart, announce]);
+    await audit(req.user.id, 'template_create', `template:${r.rows[0].id}`, {name: r.rows[0].name, every_minutes: every, entry_fee: r.rows[0].entry_fee});
+    res.json(r.rows[0]);
+  }catch(e){ console.error(e); res.status(500).json({error:e.message}); }
+});
+
+// body: {active}; pausing a template keeps wheels it already created
+app.patch('/api/admin/templates/:id', auth.requireAuth, auth.requireAdmin, v.validate({params: byId, body: v.object({
+  active: v.boolean()
+})}), async (req,res)=>{
+  try{
+    const r = await query('UPDATE wheel_templates SET active=$1 WHERE id=$2 RETURNING *', [req.body.active, req.params.id]);
+    if(!r.rowCount) return res.status(404).json({error:'template not found'});
+    await audit(req.user.id, req.body.active ? 'template_resume' : 'template_pause', `template:${r.rows[0].id}`, {});
+    res.json(r.rows[0]);
+  }catch(e){ console.error(e); res.status(500).json({error:e.message}); }
+});
+
+// rejected requests / events per rate limit on this node, and flood disconnects
+app.get('/api/admin/metrics/rate-limits', auth.requireAuth, auth.requireAdmin, (req,res)=> res.json(rateLimit.metrics()));
+
+app.get('/api/admin/audit', auth.requireAuth, auth.requireAdmin, async (req,res)=>{
+  try{
+    const r = await query(`SELECT a.*, u.username AS admin_username FROM admin_audit a JOIN users u ON u.id=a.admin_id
+      ORDER BY a.id DESC LIMIT 100`);
+    res.json(r.rows);
+  }catch(e){ console.error(e); res.status(500).json({error:e.message}); }
+});
+
+// Ledger reconciliation report (also logged periodically, see below)
+app.get('/api/admin/ledger/reconcile', auth.requireAuth, auth.requireAdmin, async (req,res)=>{
+  try{ res.json(await ledger.reconcile()); }
+  catch(e){ console.error(e); res.status(500).json({error:e.message}); }
+});
 app.get('/api/config', async (req,res)=>{
   const r = await query('SELECT key,value FROM config');
   res.json(r.rows);
 });
 
-server.listen(PORT, ()=> console.log('Server listening', PORT));
+/**
+ * Recurring wheels: create the next wheel of every active template once it is
+ * due to be announced (announce_minutes before its lobby opens) and advance
+ * the template by every_minutes. Start times missed while no node was running
+ * are skipped. Templates are locked with SKIP LOCKED, so with several nodes
+ * each wheel is created once.
+ */
+async function instantiateTemplates(){
+  const client = await pool.connect();
+  const created = [];
+  try{
+    await client.query('BEGIN');
+    const due = await client.query(`SELECT * FROM wheel_templates WHERE active
+      AND next_start_at - ((rules->>'lobby_seconds')::int * interval '1 second') - (announce_minutes * interval '1 minute') <= now()
+      FOR UPDATE SKIP LOCKED`);
+    for(const t of due.rows){
+      const every = t.every_minutes * 60000;
+      let startsAt = new Date(t.next_start_at);
+      while(startsAt.getTime() <= Date.now()) startsAt = new Date(startsAt.getTime() + every);
+      created.push(await insertWheel(client, t.owner_id, t.entry_fee, t.rules, {startsAt, templateId: t.id}));
+      await client.query('UPDATE wheel_templates SET next_start_at=$1 WHERE id=$2', [new Date(startsAt.getTime() + every), t.id]);
+    }
+    await client.query('COMMIT');
+  }catch(e){ await client.query('ROLLBACK').catch(()=>{}); console.error('template error', e); }finally{ client.release(); }
+  for(const row of created) await announceWheel(row);
+}
+
+async function reconcileJob(){
+  try{
+    const report = await ledger.reconcile();
+    if(!report.ok) console.error('ledger reconciliation FAILED', JSON.stringify(report));
+  }catch(e){ console.error('reconcile error', e); }
+}
+
+server.listen(PORT, ()=> {
+  console.log('Server listening', PORT, 'node', scheduler.NODE_ID);
+  attachAdapter(io)
+    .then(on=> on && console.log('socket.io redis adapter attached'))
+    .catch(e=> console.error('redis adapter error', e));
+  recoverWheels().catch(e=> console.error('recovery error', e));
+  setInterval(reconcileJob, RECONCILE_INTERVAL_MS);
+  setInterval(()=> instantiateTemplates().catch(e=> console.error('template error', e)), TEMPLATE_TICK_MS);
+  setInterval(()=> idempotencyStore.purge().catch(e=> console.error('idempotency purge error', e)), 3600000);
+});
@@ -0,0 +1,103 @@
+/**
+ * Double-entry ledger (see migrations/005_ledger.sql).
+ *
+ * post() is the only way coins move: it writes a balanced posting inside the
+ * caller's transaction, updates account balances, keeps users.coins in step
+ * with the user:<id> accounts and records the per-user `transactions` rows.
+ */
+const { query } = require('./db');
+
+const HOUSE = 'house';
+const EXTERNAL = 'external';
+function userAccount(userId){ return `user:${userId}`; }
+function escrowAccount(wheelId){ return `escrow:${wheelId}`; }
+function tournamentAccount(tournamentId){ return `tournament:${tournamentId}`; }
+
+function parseCode(code){
+  const [kind, id] = code.split(':');
+  return {
+    kind,
+    user_id: (kind==='user' || kind==='host') ? Number(id) : null,
+    wheel_id: kind==='escrow' ? Number(id) : null
+  };
+}
+
+/**
+ * Lock the named accounts (creating missing ones) in code order, so concurrent
+ * postings touching the same accounts cannot deadlock. A user account's
+ * `users` row is locked just before it, matching the order of the join route
+ * (which locks the user first). Returns code -> row.
+ */
+async function lockAccounts(client, codes){
+  const sorted = [...new Set(codes)].sort();
+  const rows = {};
+  for(const code of sorted){
+    const {kind, user_id, wheel_id} = parseCode(code);
+    if(kind==='user') await client.query('SELECT 1 FROM users WHERE id=$1 FOR UPDATE', [user_id]);
+    await client.query('INSERT INTO ledger_accounts (code, kind, user_id, wheel_id) VALUES ($1,$2,$3,$4) ON CONFLICT (code) DO NOTHING',
+      [code, kind, user_id, wheel_id]);
+    const r = await client.query('SELECT * FROM ledger_accounts WHERE code=$1 FOR UPDATE', [code]);
+    rows[code] = r.rows[0];
+  }
+  return rows;
+}
+
+/**
+ * Write a balanced posting inside an open transaction.
+ * entries: [{account: 'user:2', amount: -500}, {account: 'escrow:7', amount: 500}]
+ * User accounts may not go negative ('insufficient coins').
+ */
+async function post(client, {kind, wheelId = null, meta = {}, entries}){
+  const total = entries.reduce((s, e)=> s + Number(e.amount), 0);
+  if(total!==0) throw new Error(`unbalanced posting (${kind}): ${total}`);
+  const accounts = await lockAccounts(client, entries.map(e=> e.account));
+  const p = await client.query('INSERT INTO ledger_postings (kind, wheel_id, meta) VALUES ($1,$2,$3) RETURNING id',
+    [kind, wheelId, JSON.stringify(meta)]);
+  const postingId = p.rows[0].id;
+  for(const e of entries){
+    const amount = Number(e.amount);
+    if(amount===0) continue;
+    const acc = accounts[e.account];
+    if(acc.kind==='user' && Number(acc.balance) + amount < 0) throw new Error('insufficient coins');
+    acc.balance = Number(acc.balance) + amount;
+    await client.query('INSERT INTO ledger_entries (posting_id, account_id, amount) VALUES ($1,$2,$3)', [postingId, acc.id, amount]);
+    await client.query('UPDATE ledger_accounts SET balance = balance + $1 WHERE id=$2', [amount, acc.id]);
+    if(acc.kind==='user'){
+      await client.query('UPDATE users SET coins = coins + $1 WHERE id=$2', [amount, acc.user_id]);
+      await client.query('INSERT INTO transactions (user_id, amount, type, meta) VALUES ($1,$2,$3,$4)',
+        [acc.user_id, amount, amount > 0 ? 'credit' : 'debit', JSON.stringify({wheel: wheelId, ...meta, posting: postingId})]);
+    }
+  }
+  return postingId;
+}
+
+/**
+ * Reconciliation report. `ok` is true when:
+ * - every posting balances to 0,
+ * - every account balance equals the sum of its entries,
+ * - every users.coins equals its user:<id> account balance,
+ * - all account balances sum to 0.
+ */
+async function reconcile(){
+  const unbalanced = await query(`SELECT posting_id, SUM(amount) AS total FROM ledger_entries
+    GROUP BY posting_id HAVING SUM(amount) <> 0`);
+  const drifted = await query(`SELECT a.code, a.balance, COALESCE(SUM(e.amount),0) AS entries_total
+    FROM ledger_accounts a LEFT JOIN ledger_entries e ON e.account_id=a.id
+    GROUP BY a.id HAVING a.balance <> COALESCE(SUM(e.amount),0)`);
+  const wallets = await query(`SELECT u.id AS user_id, u.coins, COALESCE(a.balance,0) AS account_balance
+    FROM users u LEFT JOIN ledger_accounts a ON a.code='user:'||u.id
+    WHERE u.coins <> COALESCE(a.balance,0)`);
+  const totals = await query('SELECT kind, SUM(balance) AS balance FROM ledger_accounts GROUP BY kind ORDER BY kind');
+  const sum = totals.rows.reduce((s, r)=> s + Number(r.balance), 0);
+  return {
+    ok: !unbalanced.rowCount && !drifted.rowCount && !wallets.rowCount && sum===0,
+    checkedAt: new Date().toISOString(),
+    totalsByKind: totals.rows.map(r=> ({kind: r.kind, balance: Number(r.balance)})),
+    sumOfBalances: sum,
+    unbalancedPostings: unbalanced.rows,
+    accountDrift: drifted.rows,
+    walletMismatches: wallets.rows
+  };
+}
+
+module.exports = { HOUSE, EXTERNAL, userAccount, escrowAccount, tournamentAccount, post, reconcile };
@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+
+// HTTP payment adapter. Talks to PAYMENT_HTTP_URL:
+//   POST /deposits    { reference, userId, amount, callbackUrl } -> { id, status }
+//   POST /withdrawals { reference, userId, amount, callbackUrl } -> { id, status }
+// and later calls callbackUrl with { providerRef, status } signed as
+// x-payment-signature: hex HMAC-SHA256(rawBody, PAYMENT_WEBHOOK_SECRET).
+// scripts/fakePaymentProvider.js is a stand-in implementation for local testing.
+const BASE_URL = process.env.PAYMENT_HTTP_URL || 'http://localhost:4100';
+const WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET || '';
+const CALLBACK_URL = process.env.PAYMENT_CALLBACK_URL || 'http://localhost:4000/payments/webhook/http';
+const TIMEOUT_MS = Number(process.env.PAYMENT_HTTP_TIMEOUT_MS) || 10000;
+
+// Network errors and timeouts reject; payments.js settles those as 'failed'.
+async function request(path, body) {
+  const res = await fetch(BASE_URL + path, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ ...body, callbackUrl: CALLBACK_URL }),
+    signal: AbortSignal.timeout(TIMEOUT_MS)
+  });
+  if (!res.ok) return { status: 'failed', providerRef: null, error: `provider HTTP ${res.status}` };
+  const data = await res.json();
+  return { status: data.status, providerRef: data.id };
+}
+
+module.exports = {
+  name: 'http',
+  deposit: ({ paymentId, userId, amount }) => request('/deposits', { reference: paymentId, userId, amount }),
+  withdraw: ({ paymentId, userId, amount }) => request('/withdrawals', { reference: paymentId, userId, amount }),
+  sign: (rawBody) => crypto.createHmac('sha256', WEBHOOK_SECRET).update(rawBody).digest('hex'),
+  verifyWebhook(rawBody, signature) {
+    if (!WEBHOOK_SECRET) return null;
+    const expected = Buffer.from(this.sign(rawBody));
+    const given = Buffer.from(String(signature || ''));
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+    return JSON.parse(rawBody.toString());
+  }
+};
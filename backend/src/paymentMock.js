@@ -1,6 +1,26 @@
+const crypto = require('crypto');
+
+// Local payment adapter: settles in-process, no external calls.
+// MOCK_PAYMENT_STATUS=pending|failed simulates slow or declined payments; a
+// pending payment can then be settled through the signed webhook route, which
+// stays disabled unless PAYMENT_WEBHOOK_SECRET is set.
+const WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET || '';
+
+function outcome() {
+  return { status: process.env.MOCK_PAYMENT_STATUS || 'succeeded', providerRef: `tx_${Date.now()}_${crypto.randomBytes(4).toString('hex')}` };
+}
+
 module.exports = {
-  charge: async (userId, amountCents) => {
-    // Simulate successful charge. In production, call Stripe API.
-    return { success: true, txId: `tx_${Date.now()}` };
+  name: 'mock',
+  deposit: async ({ paymentId, userId, amount }) => outcome(),
+  withdraw: async ({ paymentId, userId, amount }) => outcome(),
+  sign: (rawBody) => crypto.createHmac('sha256', WEBHOOK_SECRET).update(rawBody).digest('hex'),
+  verifyWebhook(rawBody, signature) {
+    if (!WEBHOOK_SECRET) return null;
+    const expected = Buffer.from(this.sign(rawBody));
+    const given = Buffer.from(String(signature || ''));
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+    // body: { providerRef, status }
+    return JSON.parse(rawBody.toString());
   }
 };
@@ -0,0 +1,96 @@
+const prisma = require('./prismaClient');
+
+// Payment service for the Prisma wheel: picks the provider adapter
+// (PAYMENT_PROVIDER=mock|http) and applies payment state to User.balance.
+//
+// Balance rules:
+// - deposit: credited when the payment reaches 'succeeded'
+// - withdrawal: debited up front when requested; credited back if it 'failed'
+// A provider call that throws (network error, timeout) settles as 'failed', so
+// a withdrawal's held funds are credited back instead of staying pending.
+// Every transition is a conditional update on status 'pending', so repeated or
+// late webhooks cannot apply a payment twice.
+const providers = {
+  mock: require('./paymentMock'),
+  http: require('./paymentHttp')
+};
+
+function getProvider(name = process.env.PAYMENT_PROVIDER || 'mock') {
+  const provider = providers[name];
+  if (!provider) throw new Error(`Unknown payment provider ${name}`);
+  return provider;
+}
+
+async function call(fn) {
+  try {
+    return await fn();
+  } catch (e) {
+    console.error('payment provider request failed', e);
+    return { status: 'failed', providerRef: null, error: e.message };
+  }
+}
+
+async function deposit(userId, amount) {
+  if (!Number.isInteger(amount) || amount <= 0) throw new Error('Invalid amount');
+  const provider = getProvider();
+  const payment = await prisma.payment.create({ data: { userId, type: 'deposit', amount, provider: provider.name }});
+  const result = await call(() => provider.deposit({ paymentId: payment.id, userId, amount }));
+  return settle(payment.id, result.status, result.providerRef);
+}
+
+async function withdraw(userId, amount) {
+  if (!Number.isInteger(amount) || amount <= 0) throw new Error('Invalid amount');
+  const provider = getProvider();
+  // hold the funds first so they cannot be spent on a wheel meanwhile
+  const payment = await prisma.$transaction(async (tx) => {
+    const debit = await tx.user.updateMany({ where: { id: userId, balance: { gte: amount } }, data: { balance: { decrement: amount } }});
+    if (!debit.count) throw new Error('Insufficient balance');
+    return tx.payment.create({ data: { userId, type: 'withdrawal', amount, provider: provider.name }});
+  });
+  const result = await call(() => provider.withdraw({ paymentId: payment.id, userId, amount }));
+  return settle(payment.id, result.status, result.providerRef);
+}
+
+/**
+ * Move a pending payment to `status` and apply its balance effect atomically.
+ * Unknown statuses leave it pending; settled payments are returned unchanged.
+ */
+async function settle(paymentId, status, providerRef) {
+  return prisma.$transaction(async (tx) => {
+    if (providerRef) await tx.payment.update({ where: { id: paymentId }, data: { providerRef }});
+    if (status !== 'succeeded' && status !== 'failed') return tx.payment.findUnique({ where: { id: paymentId }});
+    const moved = await tx.payment.updateMany({ where: { id: paymentId, status: 'pending' }, data: { status }});
+    const payment = await tx.payment.findUnique({ where: { id: paymentId }});
+    if (!moved.count) return payment;
+    if (payment.type === 'deposit' && status === 'succeeded') {
+      await tx.user.update({ where: { id: payment.userId }, data: { balance: { increment: payment.amount } }});
+    }
+    if (payment.type === 'withdrawal' && status === 'failed') {
+      await tx.user.update({ where: { id: payment.userId }, data: { balance: { increment: payment.amount } }});
+    }
+    return payment;
+  });
+}
+
+/**
+ * Verify and apply a provider callback. rawBody must be the unparsed request body.
+ */
+async function handleWebhook(providerName, rawBody, signature) {
+  const provider = getProvider(providerName);
+  const event = provider.verifyWebhook(rawBody, signature);
+  if (!event) throw new Error('Invalid signature');
+  const payment = await prisma.payment.findFirst({ where: { provider: provider.name, providerRef: event.providerRef }});
+  if (!payment) throw new Error('Payment not found');
+  return settle(payment.id, event.status, null);
+}
+
+/**
+ * Debit a wheel entry fee inside the caller's transaction; fails instead of
+ * letting the balance go negative.
+ */
+async function debitForJoin(tx, userId, amount) {
+  const debit = await tx.user.updateMany({ where: { id: userId, balance: { gte: amount } }, data: { balance: { decrement: amount } }});
+  if (!debit.count) throw new Error('Insufficient balance');
+}
+
+module.exports = { getProvider, deposit, withdraw, settle, handleWebhook, debitForJoin };
@@ -6,4 +6,4 @@ const prisma = new PrismaClient({
     },
   },
 });
-export default prisma;
+module.exports = prisma;
@@ -0,0 +1,67 @@
+/**
+ * Prize definitions for prize-mode wheels (gameService). Each segment carries
+ * `prize: {type, value}` and the spun segment decides what the picked player
+ * is paid:
+ * - multiplier: value × entry fee
+ * - fixed:      value coins
+ * - bonus:      the whole pool plus value coins
+ * - spin_again: spin again with the next nonce (at most MAX_RESPINS times;
+ *               a spin_again on the last allowed spin pays nothing)
+ * - bust:       nothing; the pool stays with the house
+ *
+ * The house covers whatever a prize pays beyond the pool, so wheels are only
+ * created if their worst case stays within MAX_HOUSE_EXPOSURE.
+ */
+const PRIZE_TYPES = ['multiplier', 'fixed', 'bonus', 'spin_again', 'bust'];
+const MAX_RESPINS = 5;
+const MAX_HOUSE_EXPOSURE = Number(process.env.PRIZE_MAX_HOUSE_EXPOSURE ?? 10000); // cents
+
+/**
+ * Throws if `segments` is not a valid prize table.
+ */
+function validatePrizeSegments(segments){
+  if (!Array.isArray(segments) || segments.length < 2) throw new Error('Prize wheels need at least two segments');
+  for (const seg of segments) {
+    if (seg.weight != null && !(Number.isInteger(seg.weight) && seg.weight > 0)) throw new Error('Segment weight must be a positive integer');
+    const prize = seg.prize;
+    if (!prize || !PRIZE_TYPES.includes(prize.type)) throw new Error(`Segment prize type must be one of ${PRIZE_TYPES.join(', ')}`);
+    if (prize.type === 'multiplier' && !(typeof prize.value === 'number' && prize.value > 0)) throw new Error('Multiplier must be a positive number');
+    if ((prize.type === 'fixed' || prize.type === 'bonus') && !(Number.isInteger(prize.value) && prize.value > 0)) throw new Error(`${prize.type} prize must be a positive whole number of coins`);
+  }
+  if (segments.every(seg => seg.prize.type === 'spin_again')) throw new Error('At least one segment must end the spin');
+}
+
+/**
+ * Coins paid for `prize` given the wheel's entry fee and collected pool.
+ */
+function prizePayout(prize, { entryFee, pool }){
+  switch (prize.type) {
+    case 'multiplier': return Math.floor(entryFee * prize.value);
+    case 'fixed': return prize.value;
+    case 'bonus': return pool + prize.value;
+    default: return 0; // bust, or spin_again out of respins
+  }
+}
+
+/**
+ * Largest amount the house may have to add on top of the pool, assuming the
+ * smallest pool the wheel can start with (entryFee × minPlayers).
+ */
+function houseExposure(segments, { entryFee, minPlayers }){
+  const pool = entryFee * minPlayers;
+  return Math.max(0, ...segments.map(seg => prizePayout(seg.prize, { entryFee, pool }) - pool));
+}
+
+/**
+ * Validate prize segments and reject tables whose worst case exceeds the limit.
+ */
+function checkPrizeWheel(segments, { entryFee, minPlayers }){
+  validatePrizeSegments(segments);
+  const exposure = houseExposure(segments, { entryFee, minPlayers });
+  if (exposure > MAX_HOUSE_EXPOSURE) {
+    throw new Error(`Prize table can pay ${exposure} more than the pool of ${entryFee * minPlayers}; the house limit is ${MAX_HOUSE_EXPOSURE}`);
+  }
+  return exposure;
+}
+
+module.exports = { PRIZE_TYPES, MAX_RESPINS, MAX_HOUSE_EXPOSURE, validatePrizeSegments, prizePayout, houseExposure, checkPrizeWheel };
@@ -0,0 +1,190 @@
+/**
+ * Rate limits for REST routes and Socket.IO events.
+ *
+ * REST: fixed-window counters, keyed per client IP and per user (the bearer
+ * token's user; anonymous requests count against their IP). Counters live in
+ * process memory, or in Redis when REDIS_URL is set so every node shares
+ * them. A request over a limit gets 429 {error:'rate limited',
+ * code:'rate_limited', limit, retryAfterMs} with Retry-After. Limits are
+ * "<max>/<window seconds>" and can be overridden with RATE_LIMIT_<NAME>
+ * (e.g. RATE_LIMIT_JOIN=20/10).
+ *
+ * Sockets: handshakes are limited per IP like REST ('connect'). Each socket
+ * then has an event budget for all its events plus tighter budgets for
+ * expensive ones (the socket:<event> limits). An event over budget is
+ * dropped: its ack gets {success:false, message:'rate limited',
+ * code:'rate_limited'} and the socket gets 'rate_limited' {event,
+ * retryAfterMs}. A socket that sends SOCKET_ABUSE_FACTOR times its overall
+ * budget within one window is disconnected.
+ *
+ * Every rejection is counted by limit name; see metrics().
+ */
+const { connectRedis } = require('./redis');
+const { verifyToken, bearerToken } = require('./auth');
+
+const DEFAULT_LIMITS = {
+  ip: '300/60', // any request, per client IP
+  api: '120/60', // any request, per user
+  auth: '10/60', // login / register, per IP
+  join: '20/60', // joining or leaving wheels and tournaments, per user
+  create: '10/60', // creating wheels, templates and tournaments, per user
+  connect: '30/60', // socket handshakes, per IP
+  socket: '40/10', // all events of one socket
+  'socket:wheel:create': '5/60',
+  'socket:wheel:join': '10/10',
+  'socket:wheel:start': '5/60',
+  'socket:wheel:resume': '10/10',
+  'socket:time:sync': '20/10'
+};
+const SOCKET_ABUSE_FACTOR = Number(process.env.SOCKET_ABUSE_FACTOR) || 3;
+
+function envName(name){ return 'RATE_LIMIT_' + name.toUpperCase().replace(/[^A-Z0-9]/g, '_'); }
+
+function parseLimit(spec){
+  const [max, seconds] = String(spec).split('/').map(Number);
+  if(!(max > 0) || !(seconds > 0)) return null;
+  return { max, windowMs: seconds * 1000 };
+}
+
+const LIMITS = Object.fromEntries(Object.entries(DEFAULT_LIMITS).map(([name, spec])=> {
+  const override = process.env[envName(name)];
+  const limit = override && parseLimit(override);
+  if(override && !limit) console.warn(`ignoring invalid ${envName(name)}=${override}`);
+  return [name, limit || parseLimit(spec)];
+}));
+
+const counters = { rejected: {}, disconnects: 0, since: new Date() };
+function reject(name){ counters.rejected[name] = (counters.rejected[name] || 0) + 1; }
+
+function metrics(){
+  return {
+    since: counters.since,
+    rejected: {...counters.rejected},
+    rejectedTotal: Object.values(counters.rejected).reduce((s, n)=> s + n, 0),
+    socketDisconnects: counters.disconnects,
+    limits: Object.fromEntries(Object.entries(LIMITS).map(([name, l])=> [name, `${l.max}/${l.windowMs / 1000}s`]))
+  };
+}
+
+// in-process window counters: key -> {count, resetAt}
+function memoryStore(){
+  const windows = new Map();
+  const sweep = setInterval(()=> {
+    const now = Date.now();
+    for(const [key, w] of windows) if(w.resetAt <= now) windows.delete(key);
+  }, 60000);
+  sweep.unref();
+  return {
+    async hit(key, windowMs){
+      const now = Date.now();
+      let w = windows.get(key);
+      if(!w || w.resetAt <= now){ w = { count: 0, resetAt: now + windowMs }; windows.set(key, w); }
+      w.count++;
+      return { count: w.count, resetAt: w.resetAt };
+    }
+  };
+}
+
+// shared counters: INCR with the window as the key's expiry
+function redisStore(client){
+  return {
+    async hit(key, windowMs){
+      const k = 'ratelimit:' + key;
+      const count = await client.incr(k);
+      if(count===1) await client.pExpire(k, windowMs);
+      let ttl = await client.pTTL(k);
+      if(ttl < 0){ await client.pExpire(k, windowMs); ttl = windowMs; }
+      return { count, resetAt: Date.now() + ttl };
+    }
+  };
+}
+
+let storePromise = null;
+function store(){
+  if(!storePromise){
+    storePromise = connectRedis()
+      .then(c=> c ? redisStore(c.pub) : memoryStore())
+      .catch(e=> { console.error('rate limit store: redis unavailable, using memory', e.message); return memoryStore(); });
+  }
+  return storePromise;
+}
+
+/**
+ * Count one hit of `key` against limit `name`. Returns null when allowed,
+ * else the milliseconds until the window resets. Fails open if the store errors.
+ */
+async function take(name, key){
+  const limit = LIMITS[name];
+  try{
+    const { count, resetAt } = await (await store()).hit(`${name}:${key}`, limit.windowMs);
+    if(count <= limit.max) return null;
+    reject(name);
+    return Math.max(resetAt - Date.now(), 0);
+  }catch(e){
+    console.error('rate limit error', e.message);
+    return null;
+  }
+}
+
+function userOrIp(req){
+  const payload = verifyToken(bearerToken(req));
+  return payload ? `user:${payload.sub}` : `ip:${req.ip}`;
+}
+
+/**
+ * Express middleware for limit `name`, counted per user (default; anonymous
+ * requests per IP) or, with {by: 'ip'}, per client IP.
+ */
+function limit(name, { by = 'user' } = {}){
+  if(!LIMITS[name]) throw new Error(`unknown rate limit ${name}`);
+  return async (req, res, next)=> {
+    const retryMs = await take(name, by==='ip' ? `ip:${req.ip}` : userOrIp(req));
+    if(retryMs===null) return next();
+    res.set('Retry-After', String(Math.ceil(retryMs / 1000)));
+    res.status(429).json({error:'rate limited', code:'rate_limited', limit: name, retryAfterMs: retryMs});
+  };
+}
+
+/**
+ * Socket.IO middleware: limits handshakes per client IP.
+ */
+async function socketConnectLimit(socket, next){
+  const retryMs = await take('connect', `ip:${socket.handshake.address}`);
+  if(retryMs===null) return next();
+  next(new Error('rate limited'));
+}
+
+/**
+ * Give a connected socket its event budgets (kept in memory: a socket lives
+ * on one node).
+ */
+function guardSocket(socket){
+  const windows = new Map(); // budget name -> {count, resetAt}
+  const overall = LIMITS.socket;
+  function spend(name){
+    const limit = LIMITS[name];
+    const now = Date.now();
+    let w = windows.get(name);
+    if(!w || w.resetAt <= now){ w = { count: 0, resetAt: now + limit.windowMs }; windows.set(name, w); }
+    w.count++;
+    return w.count <= limit.max ? null : w;
+  }
+  socket.use((packet, next)=> {
+    const [event] = packet;
+    const specific = `socket:${event}`;
+    const over = spend('socket') || (LIMITS[specific] ? spend(specific) : null);
+    if(!over) return next();
+    const name = over===windows.get('socket') ? 'socket' : specific;
+    reject(name);
+    const ack = packet[packet.length - 1];
+    if(typeof ack==='function') ack({success:false, message:'rate limited', code:'rate_limited'});
+    socket.emit('rate_limited', {event, retryAfterMs: Math.max(over.resetAt - Date.now(), 0)});
+    if(socket.connected && windows.get('socket').count >= overall.max * SOCKET_ABUSE_FACTOR){
+      counters.disconnects++;
+      console.warn('disconnecting flooding socket', socket.id, 'user', socket.data.user && socket.data.user.id);
+      socket.disconnect(true);
+    }
+  });
+}
+
+module.exports = { LIMITS, limit, socketConnectLimit, guardSocket, metrics };
@@ -0,0 +1,35 @@
+/**
+ * Optional Redis connection (REDIS_URL). When set, the Socket.IO server uses
+ * the Redis adapter so events emitted on one backend node reach clients
+ * connected to any node.
+ */
+const { createClient } = require('redis');
+const { createAdapter } = require('@socket.io/redis-adapter');
+
+const REDIS_URL = process.env.REDIS_URL;
+
+let clients = null;
+
+/**
+ * Connect once and return {pub, sub}, or null when Redis is not configured.
+ */
+async function connectRedis(){
+  if(!REDIS_URL) return null;
+  if(clients) return clients;
+  const pub = createClient({ url: REDIS_URL });
+  const sub = pub.duplicate();
+  pub.on('error', e=> console.error('redis error', e.message));
+  sub.on('error', e=> console.error('redis error', e.message));
+  await Promise.all([pub.connect(), sub.connect()]);
+  clients = { pub, sub };
+  return clients;
+}
+
+async function attachAdapter(io){
+  const c = await connectRedis();
+  if(!c) return false;
+  io.adapter(createAdapter(c.pub, c.sub));
+  return true;
+}
+
+module.exports = { connectRedis, attachAdapter };
@@ -0,0 +1,121 @@
+/**
+ * Per-wheel game rules: defaults, validation of admin input and the
+ * elimination schedule derived from them. Stored as columns on spin_wheels.
+ */
+const v = require('./validate');
+
+const DEFAULT_RULES = {
+  lobby_seconds: 180,
+  elimination_interval_ms: 7000,
+  elimination_acceleration: 1,
+  min_elimination_interval_ms: 1000,
+  min_participants: 3,
+  max_participants: null,
+  eliminations_per_round: 1,
+  payout_table: [100]
+};
+
+// named payout tables accepted in place of an explicit list
+const PAYOUT_PRESETS = {
+  winner_takes_all: [100],
+  top2: [70, 30],
+  top3: [60, 25, 15]
+};
+const MAX_PAID_PLACES = 10;
+
+// [min, max] per integer rule
+const LIMITS = {
+  lobby_seconds: [10, 86400],
+  elimination_interval_ms: [1000, 600000],
+  min_elimination_interval_ms: [500, 600000],
+  min_participants: [2, 1000],
+  max_participants: [2, 1000],
+  eliminations_per_round: [1, 100]
+};
+
+// declared input of the rule fields (validate.js), spread into request body
+// schemas; parseRules adds the checks between fields
+const FIELDS = {
+  ...Object.fromEntries(Object.entries(LIMITS).map(([field, [min, max]])=> [field, v.int({min, max, optional: true})])),
+  elimination_acceleration: v.number({min: 0.5, max: 1, optional: true}),
+  payout_table: v.anyOf([
+    v.oneOf(Object.keys(PAYOUT_PRESETS)),
+    v.array(v.int({min: 1, max: 100}), {min: 1, max: MAX_PAID_PLACES})
+  ], {optional: true, message: `must be one of ${Object.keys(PAYOUT_PRESETS).join(', ')} or up to ${MAX_PAID_PLACES} positive integer percentages`})
+};
+
+/**
+ * Merge admin-supplied rules over the defaults. Returns {rules} or {error}
+ * naming the first invalid field.
+ */
+function parseRules(input = {}){
+  const rules = {...DEFAULT_RULES};
+  for(const field of Object.keys(DEFAULT_RULES)){
+    if(input[field]===undefined || input[field]===null) continue;
+    if(field==='payout_table'){
+      const table = parsePayoutTable(input[field]);
+      if(!table) return {error: `payout_table must be one of ${Object.keys(PAYOUT_PRESETS).join(', ')} or up to ${MAX_PAID_PLACES} positive integer percentages summing to 100`};
+      rules.payout_table = table;
+      continue;
+    }
+    const value = Number(input[field]);
+    if(field==='elimination_acceleration'){
+      if(!(value >= 0.5 && value <= 1)) return {error: 'elimination_acceleration must be between 0.5 and 1'};
+    } else {
+      const [min, max] = LIMITS[field];
+      if(!Number.isInteger(value) || value < min || value > max) return {error: `${field} must be an integer between ${min} and ${max}`};
+    }
+    rules[field] = value;
+  }
+  if(rules.max_participants!==null && rules.max_participants < rules.min_participants){
+    return {error: 'max_participants must be at least min_participants'};
+  }
+  if(rules.min_elimination_interval_ms > rules.elimination_interval_ms){
+    return {error: 'min_elimination_interval_ms must not exceed elimination_interval_ms'};
+  }
+  if(rules.max_participants!==null && rules.eliminations_per_round >= rules.max_participants){
+    return {error: 'eliminations_per_round must be less than max_participants'};
+  }
+  return {rules};
+}
+
+function parsePayoutTable(value){
+  if(typeof value==='string') return PAYOUT_PRESETS[value] || null;
+  if(!Array.isArray(value) || !value.length || value.length > MAX_PAID_PLACES) return null;
+  if(!value.every(v=> Number.isInteger(v) && v > 0)) return null;
+  return value.reduce((a, b)=> a + b, 0)===100 ? value : null;
+}
+
+/**
+ * A stored wheel row's rules as plain numbers / arrays (pg returns NUMERIC as text).
+ */
+function rulesOf(wheel){
+  return Object.fromEntries(Object.keys(DEFAULT_RULES).map(k=> {
+    const v = wheel[k];
+    return [k, v==null || k==='payout_table' ? v : Number(v)];
+  }));
+}
+
+/**
+ * Split `pool` by finishing position for `players` participants. Places the
+ * table pays but nobody finished in fold into 1st place, as does the rounding
+ * remainder. Returns amounts indexed by place - 1 (length = paid places).
+ */
+function payoutShares(pool, table, players){
+  const paid = table.slice(0, Math.max(1, players));
+  const amounts = paid.map(pct=> Math.floor(pool * pct / 100));
+  amounts[0] += pool - amounts.reduce((a, b)=> a + b, 0);
+  return amounts;
+}
+
+/**
+ * Delay before elimination round `round` (1 = first round after start).
+ */
+function eliminationDelay(wheel, round){
+  const base = Number(wheel.elimination_interval_ms);
+  const factor = Number(wheel.elimination_acceleration);
+  const floor = Number(wheel.min_elimination_interval_ms);
+  return Math.max(floor, Math.round(base * Math.pow(factor, Math.max(0, round - 1))));
+}
+
+module.exports = { DEFAULT_RULES, PAYOUT_PRESETS, FIELDS, parseRules, rulesOf, payoutShares, eliminationDelay };
@@ -0,0 +1,143 @@
+/**
+ * Durable per-wheel scheduler.
+ *
+ * Deadlines are rows in `wheel_jobs` (one per wheel and kind); the in-process
+ * setTimeout is only the trigger. A job row stays in place until its handler
+ * has run, so a crash mid-handler leaves an overdue job that is re-run later.
+ *
+ * With several backend nodes, each wheel is driven by exactly one of them: the
+ * node holding its row in `wheel_leases`. Every TICK_MS a node renews its
+ * leases, takes over wheels whose lease expired (failover), arms the jobs of
+ * the wheels it owns and drops leases of wheels with no jobs left. Jobs
+ * scheduled by another node are picked up by the owner on its next tick.
+ */
+const crypto = require('crypto');
+const os = require('os');
+const { query } = require('./db');
+
+const NODE_ID = process.env.NODE_ID || `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+const LEASE_TTL_MS = Number(process.env.LEASE_TTL_MS) || 10000;
+const TICK_MS = Number(process.env.LEASE_TICK_MS) || 2000;
+
+const handlers = {};
+const timers = new Map(); // `${wheelId}:${kind}` -> {handle, runAt}
+// jobs whose handler is running: key -> run_at (ms); the row is still there,
+// so without this every tick would arm the same job again
+const running = new Map();
+let ticker = null;
+
+function key(wheelId, kind){ return `${wheelId}:${kind}`; }
+
+/**
+ * Register the function run when a job of `kind` comes due; it is called with
+ * (wheelId, runAt).
+ */
+function on(kind, handler){ handlers[kind] = handler; }
+
+/**
+ * Take (or extend) the lease on a wheel. True if this node now owns it.
+ */
+async function acquire(wheelId){
+  const r = await query(`INSERT INTO wheel_leases (wheel_id, node_id, expires_at)
+    VALUES ($1,$2, now() + $3 * interval '1 millisecond')
+    ON CONFLICT (wheel_id) DO UPDATE SET node_id=EXCLUDED.node_id, expires_at=EXCLUDED.expires_at
+      WHERE wheel_leases.node_id=EXCLUDED.node_id OR wheel_leases.expires_at < now()
+    RETURNING wheel_id`, [wheelId, NODE_ID, LEASE_TTL_MS]);
+  return r.rowCount > 0;
+}
+
+async function ownsLease(wheelId){
+  const r = await query('SELECT 1 FROM wheel_leases WHERE wheel_id=$1 AND node_id=$2 AND expires_at > now()', [wheelId, NODE_ID]);
+  return r.rowCount > 0;
+}
+
+function disarm(wheelId, kind){
+  const k = key(wheelId, kind);
+  const t = timers.get(k);
+  if(t) clearTimeout(t.handle);
+  timers.delete(k);
+}
+
+function arm(wheelId, kind, runAt){
+  const k = key(wheelId, kind);
+  const current = timers.get(k);
+  if(current && current.runAt.getTime()===runAt.getTime()) return;
+  if(running.get(k)===runAt.getTime()) return;
+  disarm(wheelId, kind);
+  const delay = Math.max(0, runAt.getTime() - Date.now());
+  timers.set(k, { handle: setTimeout(()=> fire(wheelId, kind, runAt), delay), runAt });
+}
+
+async function fire(wheelId, kind, runAt){
+  const k = key(wheelId, kind);
+  timers.delete(k);
+  running.set(k, runAt.getTime());
+  try{
+    // another node may have taken the wheel over meanwhile
+    if(!await ownsLease(wheelId)) return;
+    // skip if the job was cancelled or moved since this timer was armed
+    const r = await query('SELECT 1 FROM wheel_jobs WHERE wheel_id=$1 AND kind=$2 AND run_at=$3', [wheelId, kind, runAt]);
+    if(!r.rowCount) return;
+    await handlers[kind](wheelId, runAt);
+    // drop the row unless the handler re-scheduled the same kind
+    await query('DELETE FROM wheel_jobs WHERE wheel_id=$1 AND kind=$2 AND run_at=$3', [wheelId, kind, runAt]);
+  }catch(e){ console.error(`job ${kind} error`, wheelId, e); }
+  finally{ if(running.get(k)===runAt.getTime()) running.delete(k); }
+}
+
+/**
+ * Persist a deadline for (wheelId, kind), replacing any previous one. It is
+ * armed here if this node owns (or can take) the wheel, else by its owner.
+ */
+async function schedule(wheelId, kind, runAt){
+  await query(`INSERT INTO wheel_jobs (wheel_id, kind, run_at) VALUES ($1,$2,$3)
+    ON CONFLICT (wheel_id, kind) DO UPDATE SET run_at = EXCLUDED.run_at`, [wheelId, kind, runAt]);
+  if(await acquire(wheelId)) arm(wheelId, kind, runAt);
+}
+
+async function cancel(wheelId, kind){
+  disarm(wheelId, kind);
+  await query('DELETE FROM wheel_jobs WHERE wheel_id=$1 AND kind=$2', [wheelId, kind]);
+}
+
+/**
+ * Fetch the stored deadline for (wheelId, kind), or null.
+ */
+async function getJob(wheelId, kind){
+  const r = await query('SELECT * FROM wheel_jobs WHERE wheel_id=$1 AND kind=$2', [wheelId, kind]);
+  return r.rows[0] || null;
+}
+
+async function tick(){
+  // renew what we hold
+  await query(`UPDATE wheel_leases SET expires_at = now() + $2 * interval '1 millisecond'
+    WHERE node_id=$1 AND expires_at > now()`, [NODE_ID, LEASE_TTL_MS]);
+  // take over wheels that have jobs but no live owner
+  const orphaned = await query(`SELECT DISTINCT j.wheel_id FROM wheel_jobs j
+    LEFT JOIN wheel_leases l ON l.wheel_id=j.wheel_id AND l.expires_at > now()
+    WHERE l.wheel_id IS NULL`);
+  for(const row of orphaned.rows){
+    if(await acquire(row.wheel_id)) console.log('scheduler: took over wheel', row.wheel_id, 'on', NODE_ID);
+  }
+  // arm the jobs of every wheel we own; forget timers for wheels we lost
+  const mine = await query(`SELECT j.* FROM wheel_jobs j JOIN wheel_leases l ON l.wheel_id=j.wheel_id
+    WHERE l.node_id=$1 AND l.expires_at > now()`, [NODE_ID]);
+  const live = new Set(mine.rows.map(j=> key(j.wheel_id, j.kind)));
+  for(const k of [...timers.keys()]){
+    if(!live.has(k)){ const [w, kind] = k.split(':'); disarm(Number(w), kind); }
+  }
+  mine.rows.forEach(j=> arm(j.wheel_id, j.kind, j.run_at));
+  // wheels with nothing left to run are released
+  await query(`DELETE FROM wheel_leases l WHERE l.node_id=$1
+    AND NOT EXISTS (SELECT 1 FROM wheel_jobs j WHERE j.wheel_id=l.wheel_id)`, [NODE_ID]);
+}
+
+/**
+ * Start the lease loop (overdue jobs of wheels we take fire immediately).
+ */
+async function start(){
+  await tick();
+  ticker = setInterval(()=> tick().catch(e=> console.error('scheduler tick error', e)), TICK_MS);
+}
+
+module.exports = { NODE_ID, on, schedule, cancel, getJob, acquire, start };
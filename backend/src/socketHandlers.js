@@ -1,54 +1,127 @@
+const crypto = require('crypto');
 const gameService = require('./gameService');
 const prisma = require('./prismaClient');
-const payment = require('./paymentMock');
+const payments = require('./payments');
+const idempotency = require('./idempotency');
+const { socketAuth } = require('./auth');
+const rateLimit = require('./rateLimit');
+const v = require('./validate');
+const { PRIZE_TYPES } = require('./prizes');
 const { v4: uuidv4 } = require('uuid');
 
+const keys = idempotency.prismaStore(prisma);
+const SCHEDULE_POLL_MS = 5000;
+const MAX_SEGMENTS = 100;
+const MAX_ENTRY_FEE = 1000000; // cents
+
+// Declared event payloads (see validate.js); a payload that does not match
+// is acked with code 'invalid_input' before any handler runs.
+const room = v.string({ max: 60, pattern: /^wheel:[\w-]+$/ });
+const wheelId = v.string({ pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i }); // Wheel.id is a uuid
+const idempotencyKey = v.string({ max: 200, optional: true });
+const segment = v.object({
+  label: v.string({ max: 50 }),
+  weight: v.int({ min: 1, max: 1000, optional: true }),
+  // checked further by prizes.validatePrizeSegments for prize wheels
+  prize: v.object({ type: v.oneOf(PRIZE_TYPES), value: v.number({ min: 0, optional: true }) }, { optional: true })
+});
+const schemas = {
+  'wheel:create': v.object({
+    title: v.string({ max: 100 }),
+    segments: v.array(segment, { min: 1, max: MAX_SEGMENTS }),
+    entryFee: v.int({ min: 1, max: MAX_ENTRY_FEE }),
+    maxPlayers: v.int({ min: 1, max: 1000, optional: true }),
+    minPlayers: v.int({ min: 1, max: 1000, default: 1 }),
+    mode: v.oneOf(['pool', 'prize'], { default: 'pool' }),
+    startsAt: v.date({ optional: true }),
+    idempotencyKey
+  }),
+  // players may bring their own spin entropy; separators used by
+  // combineSpinInput (',' and ':') are not allowed
+  'wheel:join': v.object({ wheelId, clientSeed: v.string({ max: 64, pattern: /^[\w-]+$/, optional: true }), idempotencyKey }),
+  'wheel:start': v.object({ wheelId, idempotencyKey })
+};
+
+// Run a mutating event at most once per client `idempotencyKey`: the first ack
+// is stored and replayed (with `replayed: true`) for duplicates.
+async function replayable(socket, scope, idempotencyKey, ack, handler) {
+  try {
+    const result = await idempotency.once(keys, { userId: socket.data.user.id, key: idempotencyKey, scope }, async () => {
+      try {
+        return { status: 200, body: { success: true, ...(await handler()) } };
+      } catch (e) {
+        return { status: 400, body: { success: false, message: e.message } };
+      }
+    });
+    const body = result.body.error ? { success: false, message: result.body.error } : result.body;
+    ack && ack(result.replayed ? { ...body, replayed: true } : body);
+  } catch (e) {
+    ack && ack({ success: false, message: e.message });
+  }
+}
+
 module.exports = function (io, redisClient) {
+  // every connection is authenticated; handlers act as socket.data.user only
+  io.use(rateLimit.socketConnectLimit);
+  io.use(socketAuth);
+
+  // wheels created with startsAt start (or are cancelled) on schedule
+  setInterval(() => gameService.startDueWheels(io, redisClient).catch(e => console.error('scheduled start error', e)), SCHEDULE_POLL_MS);
+
   io.on('connection', socket => {
     console.log('socket connected', socket.id);
+    rateLimit.guardSocket(socket);
 
-    socket.on('wheel:create', async ({ hostId, title, segments, entryFee, maxPlayers }, ack) => {
-      try {
-        const { wheel, serverSeed } = await gameService.createWheel({ hostId, title, segments, entryFee, maxPlayers });
-        // keep seed in memory (demo): in real, secure storage
-        global.__wheelSeeds = global.__wheelSeeds || {};
-        global.__wheelSeeds[wheel.id] = serverSeed;
+    // watch / unwatch a wheel's `wheel:<id>` room without joining the game
+    socket.on('joinRoom', v.validated(room, name => socket.join(name)));
+    socket.on('leaveRoom', v.validated(room, name => socket.leave(name)));
+
+    socket.on('wheel:create', v.validated(schemas['wheel:create'], ({ title, segments, entryFee, maxPlayers, minPlayers, mode, startsAt, idempotencyKey }, ack) =>
+      replayable(socket, 'wheel:create', idempotencyKey, ack, async () => {
+        const hostId = socket.data.user.id;
+        const { wheel } = await gameService.createWheel({ hostId, title, segments, entryFee, maxPlayers, minPlayers, mode, startsAt });
         // notify clients with wheel and serverSeedHash (not seed)
         io.emit('wheel:created', wheel);
-        ack && ack({ success: true, wheel });
-      } catch (e) {
-        console.error(e);
-        ack && ack({ success: false, message: e.message });
-      }
-    });
+        return { wheel };
+      })));
 
-    socket.on('wheel:join', async ({ userId, wheelId }, ack) => {
-      try {
+    socket.on('wheel:join', v.validated(schemas['wheel:join'], ({ wheelId, clientSeed, idempotencyKey }, ack) =>
+      replayable(socket, `wheel:join:${wheelId}`, idempotencyKey, ack, async () => {
+        const userId = socket.data.user.id;
+        // without a client seed we generate one
+        const seed = clientSeed || crypto.randomBytes(16).toString('hex');
         const wheel = await prisma.wheel.findUnique({ where: { id: wheelId }});
         if (!wheel) throw new Error('Wheel not found');
 
-        // Simulate payment
-        const charge = await payment.charge(userId, wheel.entryFee);
-        if (!charge.success) throw new Error('Payment failed');
-
-        const join = await prisma.join.create({ data: { userId, wheelId, paid: true }});
-        socket.join(`wheel_${wheelId}`);
-        io.to(`wheel_${wheelId}`).emit('wheel:player_joined', { wheelId, userId });
+        // entry fee comes out of the player's balance in the same transaction as the join
+        // one participation per user per wheel (unique [wheelId, userId])
+        const join = await prisma.$transaction(async (tx) => {
+          // no-op conditional update: locks the wheel row so the join is ordered
+          // with startWheel / cancelWheel, and fails once the wheel left 'waiting'
+          const open = await tx.wheel.updateMany({ where: { id: wheelId, status: 'waiting' }, data: { status: 'waiting' }});
+          if (!open.count) throw new Error('Wheel is not open for joining');
+          if (wheel.maxPlayers != null && await tx.join.count({ where: { wheelId } }) >= wheel.maxPlayers) {
+            throw new Error('Wheel is full');
+          }
+          await payments.debitForJoin(tx, userId, wheel.entryFee);
+          return tx.join.create({ data: { userId, wheelId, paid: true, clientSeed: seed }});
+        }).catch(e => {
+          throw e.code === 'P2002' ? new Error('Already joined') : e;
+        });
+        socket.join(`wheel:${wheelId}`);
+        io.to(`wheel:${wheelId}`).emit('wheel:player_joined', { wheelId, userId });
 
-        ack && ack({ success: true, join });
-      } catch (e) {
-        ack && ack({ success: false, message: e.message });
-      }
-    });
+        return { join };
+      })));
 
-    socket.on('wheel:start', async ({ wheelId }, ack) => {
-      try {
+    socket.on('wheel:start', v.validated(schemas['wheel:start'], ({ wheelId, idempotencyKey }, ack) =>
+      replayable(socket, `wheel:start:${wheelId}`, idempotencyKey, ack, async () => {
+        const wheel = await prisma.wheel.findUnique({ where: { id: wheelId }});
+        if (!wheel) throw new Error('Wheel not found');
+        if (wheel.hostId !== socket.data.user.id) throw new Error('Only the host can start this wheel');
         const result = await gameService.startWheel(wheelId, io, redisClient);
-        ack && ack({ success: true, result });
-      } catch (e) {
-        ack && ack({ success: false, message: e.message });
-      }
-    });
+        return { result };
+      })));
 
   });
 };
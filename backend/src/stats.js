@@ -0,0 +1,205 @@
+/**
+ * Player statistics and leaderboards (see migrations/016_player_stats.sql).
+ *
+ * recordWheel / recordTournament add a finished wheel's or tournament's
+ * results to player_stats (all time) and player_stats_daily (per UTC day,
+ * summed for the daily and weekly boards). They run after the payout has
+ * committed (record()), so a stats failure never undoes a payout; games left
+ * unrecorded are picked up by catchUp() at boot.
+ * A game is one finished wheel; the net result is what the player's wallet
+ * gained or lost on it according to `transactions` (payouts minus the entry
+ * fee). Tournament buy-ins and prizes count towards net coins only.
+ */
+const { pool, query } = require('./db');
+
+const PERIODS = ['day', 'week', 'all'];
+const METRICS = ['wins', 'net_coins', 'games_played', 'avg_place'];
+// avg_place only ranks players with this many games in the period
+const MIN_GAMES_FOR_AVG = 3;
+const MAX_LEADERBOARD = 100;
+
+async function addResult(client, {userId, won, place, net, at}){
+  await client.query(`INSERT INTO player_stats (user_id, games_played, wins, place_sum, net_coins, current_streak, best_win_streak, last_played_at)
+    VALUES ($1, 1, $2, $3, $4, $5, GREATEST($5, 0), $6)
+    ON CONFLICT (user_id) DO UPDATE SET
+      games_played = player_stats.games_played + 1,
+      wins = player_stats.wins + EXCLUDED.wins,
+      place_sum = player_stats.place_sum + EXCLUDED.place_sum,
+      net_coins = player_stats.net_coins + EXCLUDED.net_coins,
+      current_streak = CASE WHEN EXCLUDED.wins = 1 THEN GREATEST(player_stats.current_streak, 0) + 1
+        ELSE LEAST(player_stats.current_streak, 0) - 1 END,
+      best_win_streak = GREATEST(player_stats.best_win_streak,
+        CASE WHEN EXCLUDED.wins = 1 THEN GREATEST(player_stats.current_streak, 0) + 1 ELSE 0 END),
+      last_played_at = GREATEST(player_stats.last_played_at, EXCLUDED.last_played_at)`,
+    [userId, won ? 1 : 0, place, net, won ? 1 : -1, at]);
+  await client.query(`INSERT INTO player_stats_daily (user_id, day, games_played, wins, place_sum, net_coins)
+    VALUES ($1, ($5::timestamptz AT TIME ZONE 'UTC')::date, 1, $2, $3, $4)
+    ON CONFLICT (user_id, day) DO UPDATE SET games_played = player_stats_daily.games_played + 1,
+      wins = player_stats_daily.wins + EXCLUDED.wins, place_sum = player_stats_daily.place_sum + EXCLUDED.place_sum,
+      net_coins = player_stats_daily.net_coins + EXCLUDED.net_coins`,
+    [userId, won ? 1 : 0, place, net, at]);
+}
+
+async function addNet(client, {userId, net, at}){
+  await client.query(`INSERT INTO player_stats (user_id, net_coins) VALUES ($1,$2)
+    ON CONFLICT (user_id) DO UPDATE SET net_coins = player_stats.net_coins + EXCLUDED.net_coins`, [userId, net]);
+  await client.query(`INSERT INTO player_stats_daily (user_id, day, net_coins) VALUES ($1, ($3::timestamptz AT TIME ZONE 'UTC')::date, $2)
+    ON CONFLICT (user_id, day) DO UPDATE SET net_coins = player_stats_daily.net_coins + EXCLUDED.net_coins`, [userId, net, at]);
+}
+
+/**
+ * Add a finished wheel's results (once). Players are updated in user id
+ * order so concurrent wheels sharing players cannot deadlock.
+ */
+async function recordWheel(client, wheelId){
+  const w = await client.query(`UPDATE spin_wheels SET stats_recorded=TRUE
+    WHERE id=$1 AND status='finished' AND NOT stats_recorded RETURNING finished_at`, [wheelId]);
+  if(!w.rowCount) return;
+  const results = await client.query(`SELECT p.user_id, p.final_place,
+      COALESCE((SELECT SUM(t.amount) FROM transactions t WHERE t.user_id=p.user_id AND t.meta->>'wheel' = $1::text), 0) AS net
+    FROM spin_participants p WHERE p.wheel_id=$1 AND p.final_place IS NOT NULL ORDER BY p.user_id`, [wheelId]);
+  for(const r of results.rows){
+    await addResult(client, {userId: r.user_id, won: r.final_place===1, place: r.final_place, net: Number(r.net), at: w.rows[0].finished_at});
+  }
+}
+
+// Add a finished tournament's buy-ins and prizes to its entrants' net coins (once)
+async function recordTournament(client, tournamentId){
+  const t = await client.query(`UPDATE tournaments SET stats_recorded=TRUE
+    WHERE id=$1 AND status='finished' AND NOT stats_recorded RETURNING finished_at`, [tournamentId]);
+  if(!t.rowCount) return;
+  const results = await client.query(`SELECT e.user_id,
+      COALESCE((SELECT SUM(x.amount) FROM transactions x WHERE x.user_id=e.user_id AND x.meta->>'tournament' = $1::text), 0) AS net
+    FROM tournament_entries e WHERE e.tournament_id=$1 ORDER BY e.user_id`, [tournamentId]);
+  for(const r of results.rows){
+    if(Number(r.net)) await addNet(client, {userId: r.user_id, net: Number(r.net), at: t.rows[0].finished_at});
+  }
+}
+
+/**
+ * Fill in final_place for finished wheels from before it was recorded
+ * (migration 010): the survivor is 1st, then reverse elimination order, as in
+ * finalizeWinner. Wheels without exactly one survivor are left alone.
+ */
+async function fillPlaces(client){
+  await client.query(`WITH ranked AS (
+      SELECT p.id, ROW_NUMBER() OVER (PARTITION BY p.wheel_id ORDER BY p.eliminated_order DESC NULLS FIRST, p.id) AS place
+      FROM spin_participants p JOIN spin_wheels w ON w.id=p.wheel_id
+      WHERE w.status='finished'
+        AND NOT EXISTS (SELECT 1 FROM spin_participants q WHERE q.wheel_id=p.wheel_id AND q.final_place IS NOT NULL)
+        AND (SELECT COUNT(*) FROM spin_participants q WHERE q.wheel_id=p.wheel_id AND q.eliminated_order IS NULL) = 1
+    )
+    UPDATE spin_participants p SET final_place = r.place FROM ranked r WHERE r.id=p.id`);
+}
+
+// Run recordWheel / recordTournament in a transaction of its own; failures are
+// only logged, the game stays unrecorded until catchUp()
+async function record(recordFn, id){
+  const client = await pool.connect();
+  try{
+    await client.query('BEGIN');
+    await recordFn(client, id);
+    await client.query('COMMIT');
+  }catch(e){ await client.query('ROLLBACK').catch(()=>{}); console.error('stats error', e); }finally{ client.release(); }
+}
+
+/** Record every finished wheel and tournament whose stats are still missing, oldest first. */
+async function catchUp(){
+  await fillPlaces(pool);
+  const wheels = await query("SELECT id FROM spin_wheels WHERE status='finished' AND NOT stats_recorded ORDER BY finished_at, id");
+  for(const w of wheels.rows) await record(recordWheel, w.id);
+  const tournaments = await query("SELECT id FROM tournaments WHERE status='finished' AND NOT stats_recorded ORDER BY finished_at, id");
+  for(const t of tournaments.rows) await record(recordTournament, t.id);
+}
+
+function withAverages(row){
+  const games = Number(row.games_played);
+  return {
+    ...row,
+    games_played: games,
+    wins: Number(row.wins),
+    net_coins: Number(row.net_coins),
+    win_rate: games ? Number(row.wins) / games : null,
+    avg_place: games ? Number(row.place_sum) / games : null
+  };
+}
+
+/**
+ * One player's all-time stats plus today's and this week's totals, or null
+ * for an unknown user. Users who never played get zeros.
+ */
+async function playerStats(userId){
+  const u = await query('SELECT id, username FROM users WHERE id=$1', [userId]);
+  if(!u.rowCount) return null;
+  const all = await query('SELECT * FROM player_stats WHERE user_id=$1', [userId]);
+  const periods = await query(`SELECT
+      COALESCE(SUM(games_played) FILTER (WHERE day = (now() AT TIME ZONE 'UTC')::date), 0) AS day_games,
+      COALESCE(SUM(wins) FILTER (WHERE day = (now() AT TIME ZONE 'UTC')::date), 0) AS day_wins,
+      COALESCE(SUM(place_sum) FILTER (WHERE day = (now() AT TIME ZONE 'UTC')::date), 0) AS day_places,
+      COALESCE(SUM(net_coins) FILTER (WHERE day = (now() AT TIME ZONE 'UTC')::date), 0) AS day_net,
+      COALESCE(SUM(games_played), 0) AS week_games, COALESCE(SUM(wins), 0) AS week_wins,
+      COALESCE(SUM(place_sum), 0) AS week_places, COALESCE(SUM(net_coins), 0) AS week_net
+    FROM player_stats_daily WHERE user_id=$1 AND day >= date_trunc('week', now() AT TIME ZONE 'UTC')::date`, [userId]);
+  const p = periods.rows[0];
+  const s = all.rows[0] || {games_played: 0, wins: 0, place_sum: 0, net_coins: 0, current_streak: 0, best_win_streak: 0, last_played_at: null};
+  const {place_sum, user_id, ...allTime} = withAverages(s);
+  const period = prefix=> {
+    const {place_sum, ...rest} = withAverages({games_played: p[`${prefix}_games`], wins: p[`${prefix}_wins`], place_sum: p[`${prefix}_places`], net_coins: p[`${prefix}_net`]});
+    return rest;
+  };
+  return {user_id: u.rows[0].id, username: u.rows[0].username, ...allTime, today: period('day'), week: period('week')};
+}
+
+/**
+ * Top players for a period ('day' = today UTC, 'week' = since Monday UTC,
+ * 'all') by a metric; avg_place ranks ascending. Returns {error} for unknown
+ * periods or metrics.
+ */
+async function leaderboard({period = 'all', metric = 'wins', limit = 20} = {}){
+  if(!PERIODS.includes(period)) return {error: `period must be one of ${PERIODS.join(', ')}`};
+  if(!METRICS.includes(metric)) return {error: `metric must be one of ${METRICS.join(', ')}`};
+  const n = Math.min(Math.max(Number(limit) || 20, 1), MAX_LEADERBOARD);
+  const source = period==='all'
+    ? 'SELECT user_id, games_played, wins, place_sum, net_coins FROM player_stats'
+    : `SELECT user_id, SUM(games_played) AS games_played, SUM(wins) AS wins, SUM(place_sum) AS place_sum, SUM(net_coins) AS net_coins
+      FROM player_stats_daily WHERE day >= ${period==='day'
+        ? "(now() AT TIME ZONE 'UTC')::date"
+        : "date_trunc('week', now() AT TIME ZONE 'UTC')::date"} GROUP BY user_id`;
+  const order = {
+    wins: 's.wins DESC, s.games_played ASC',
+    net_coins: 's.net_coins DESC',
+    games_played: 's.games_played DESC',
+    avg_place: 's.place_sum::float / s.games_played ASC, s.games_played DESC'
+  }[metric];
+  const r = await query(`SELECT s.*, u.username FROM (${source}) s JOIN users u ON u.id=s.user_id
+    WHERE s.games_played >= $1 ORDER BY ${order}, s.user_id LIMIT $2`, [metric==='avg_place' ? MIN_GAMES_FOR_AVG : (metric==='net_coins' ? 0 : 1), n]);
+  return {period, metric, rows: r.rows.map((row, i)=> {
+    const {place_sum, ...rest} = withAverages(row);
+    return {rank: i + 1, ...rest};
+  })};
+}
+
+/**
+ * Recompute every stat from history (finished wheels and tournaments, oldest
+ * first so streaks come out right), after filling in missing places.
+ */
+async function rebuild(){
+  const client = await pool.connect();
+  try{
+    await client.query('BEGIN');
+    await client.query('LOCK TABLE player_stats, player_stats_daily IN EXCLUSIVE MODE');
+    await fillPlaces(client);
+    await client.query('DELETE FROM player_stats_daily');
+    await client.query('DELETE FROM player_stats');
+    await client.query('UPDATE spin_wheels SET stats_recorded=FALSE WHERE stats_recorded');
+    await client.query('UPDATE tournaments SET stats_recorded=FALSE WHERE stats_recorded');
+    const wheels = await client.query("SELECT id FROM spin_wheels WHERE status='finished' ORDER BY finished_at, id");
+    for(const w of wheels.rows) await recordWheel(client, w.id);
+    const tournaments = await client.query("SELECT id FROM tournaments WHERE status='finished' ORDER BY finished_at, id");
+    for(const t of tournaments.rows) await recordTournament(client, t.id);
+    await client.query('COMMIT');
+    return {wheels: wheels.rowCount, tournaments: tournaments.rowCount};
+  }catch(e){ await client.query('ROLLBACK').catch(()=>{}); throw e; }finally{ client.release(); }
+}
+
+module.exports = { PERIODS, METRICS, recordWheel, recordTournament, record, catchUp, playerStats, leaderboard, rebuild };
@@ -0,0 +1,332 @@
+/**
+ * Tournaments: rounds of chained wheels (see migrations/015_tournaments.sql).
+ *
+ * Entrants pay the buy-in into the tournament's prize pool while it is
+ * registering. Starting it seats the entrants at random into round-1 wheels of
+ * at most wheel_size players (as even as possible) and starts them at once;
+ * the wheels themselves are free to enter. When every wheel of a round has
+ * finished, the top advance_per_wheel places of each (survivor first, then by
+ * eliminated_order) are seated into the next round. A round that fits into one
+ * wheel is the final: its standings share the prize pool by payout_table.
+ * Aborting any round wheel aborts the tournament and refunds every buy-in.
+ *
+ * REST:
+ * - GET  /api/tournaments, GET /api/tournaments/:id (bracket)
+ * - POST /api/tournaments (admin) {name, buy_in, wheel_size, advance_per_wheel, payout_table?, ...rule fields}
+ * - POST /api/tournaments/:id/join, POST /api/tournaments/:id/start (admin)
+ * - POST /api/admin/tournaments/:id/abort (admin) {reason}
+ *
+ * Room 'tournament:<id>' gets 'tournament:state' (the bracket) whenever it
+ * changes; the lobby gets 'tournament:update' {tournamentId, status, round, entrants, prizePool}.
+ */
+const crypto = require('crypto');
+const { pool, query } = require('./db');
+const auth = require('./auth');
+const ledger = require('./ledger');
+const rules = require('./rules');
+const stats = require('./stats');
+const { idempotent } = require('./idempotency');
+const rateLimit = require('./rateLimit');
+const v = require('./validate');
+
+const MAX_WHEEL_SIZE = 100;
+const MAX_BUY_IN = 1000000;
+
+function tournamentRoom(tournamentId){ return `tournament:${tournamentId}`; }
+
+// sizes of the fewest wheels of at most `size` players that seat n, as even as possible
+function groupSizes(n, size){
+  const wheels = Math.ceil(n / size);
+  return Array.from({length: wheels}, (_, i)=> Math.floor(n / wheels) + (i < n % wheels ? 1 : 0));
+}
+
+function shuffle(list){
+  const a = [...list];
+  for(let i = a.length - 1; i > 0; i--){
+    const j = crypto.randomInt(i + 1);
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
+
+module.exports = function (app, io, { LOBBY, insertWheel, beginElimination, abortWheel, emitLifecycle, publicWheel, audit }) {
+
+  /**
+   * Full bracket: the tournament, its entrants and every round's wheels with
+   * their players (final_place once the wheel is over, `advanced` when the
+   * player is seated in the next round).
+   */
+  async function bracket(tournamentId){
+    const tq = await query(`SELECT t.*, (SELECT COUNT(*) FROM tournament_entries e WHERE e.tournament_id=t.id)::int AS entrants
+      FROM tournaments t WHERE t.id=$1`, [tournamentId]);
+    if(!tq.rowCount) return null;
+    const entries = await query(`SELECT e.user_id, u.username, e.out_in_round, e.final_place, e.payout FROM tournament_entries e
+      JOIN users u ON u.id=e.user_id WHERE e.tournament_id=$1
+      ORDER BY e.final_place NULLS LAST, e.out_in_round DESC NULLS FIRST, e.joined_at`, [tournamentId]);
+    const seats = await query(`SELECT w.id, w.status, w.tournament_round, p.user_id, u.username, p.eliminated_order, p.final_place
+      FROM spin_wheels w JOIN spin_participants p ON p.wheel_id=w.id JOIN users u ON u.id=p.user_id
+      WHERE w.tournament_id=$1 ORDER BY w.tournament_round, w.id, p.final_place NULLS LAST, p.id`, [tournamentId]);
+    const rounds = [];
+    for(const s of seats.rows){
+      let round = rounds.find(r=> r.round===s.tournament_round);
+      if(!round) rounds.push(round = {round: s.tournament_round, wheels: []});
+      let wheel = round.wheels.find(w=> w.id===s.id);
+      if(!wheel) round.wheels.push(wheel = {id: s.id, status: s.status, players: []});
+      wheel.players.push({user_id: s.user_id, username: s.username, eliminated_order: s.eliminated_order, final_place: s.final_place});
+    }
+    rounds.forEach((round, i)=> {
+      const next = rounds[i + 1];
+      const seated = new Set(next ? next.wheels.flatMap(w=> w.players.map(p=> p.user_id)) : []);
+      round.wheels.forEach(w=> w.players.forEach(p=> { p.advanced = seated.has(p.user_id); }));
+    });
+    const t = tq.rows[0];
+    return {
+      tournament: {...t, buy_in: Number(t.buy_in), prize_pool: Number(t.prize_pool)},
+      entries: entries.rows.map(e=> ({...e, payout: e.payout==null ? null : Number(e.payout)})),
+      rounds
+    };
+  }
+
+  async function emitBracket(tournamentId){
+    const b = await bracket(tournamentId);
+    if(!b) return;
+    io.to(tournamentRoom(tournamentId)).emit('tournament:state', b);
+    io.to(LOBBY).emit('tournament:update', {tournamentId, status: b.tournament.status, round: b.tournament.current_round,
+      entrants: b.tournament.entrants, prizePool: b.tournament.prize_pool});
+  }
+
+  /**
+   * Seat `userIds` (already shuffled) into the wheels of `round` inside the
+   * caller's transaction. Returns the new wheel rows; start them with launch()
+   * once the transaction has committed.
+   */
+  async function seatRound(client, t, userIds, round){
+    // every group has at least 2 players, so a recovered wheel can still auto-start
+    const rl = {...rules.DEFAULT_RULES, ...t.rules, min_participants: 2, max_participants: null, payout_table: [100]};
+    const wheels = [];
+    let next = 0;
+    for(const size of groupSizes(userIds.length, t.wheel_size)){
+      const row = await insertWheel(client, t.owner_id, 0, rl, {tournamentId: t.id, tournamentRound: round});
+      for(const userId of userIds.slice(next, next + size)){
+        await client.query(`INSERT INTO spin_participants (wheel_id, user_id, paid_fee, winner_share, admin_share, app_share)
+          VALUES ($1,$2,0,0,0,0)`, [row.id, userId]);
+      }
+      next += size;
+      wheels.push(row);
+    }
+    await client.query('UPDATE tournaments SET current_round=$1 WHERE id=$2', [round, t.id]);
+    return wheels;
+  }
+
+  async function launch(wheels){
+    for(const row of wheels){
+      await emitLifecycle(row.id, 'wheelCreated', publicWheel(row));
+      await beginElimination(row);
+    }
+  }
+
+  /**
+   * Called once a tournament wheel has finished. The last wheel of a round to
+   * finish seats the next round, or pays out the prize pool after the final.
+   * The tournament row lock makes this run once per round across nodes.
+   */
+  async function wheelFinished(wheelId){
+    const client = await pool.connect();
+    let tournamentId = null, next = [], finished = false;
+    try{
+      await client.query('BEGIN');
+      const wq = await client.query('SELECT tournament_id, tournament_round FROM spin_wheels WHERE id=$1', [wheelId]);
+      if(!wq.rowCount || !wq.rows[0].tournament_id){ await client.query('ROLLBACK'); return; }
+      tournamentId = wq.rows[0].tournament_id;
+      const tq = await client.query('SELECT * FROM tournaments WHERE id=$1 FOR UPDATE', [tournamentId]);
+      const t = tq.rows[0];
+      if(t.status!=='running' || t.current_round!==wq.rows[0].tournament_round){ await client.query('ROLLBACK'); return; }
+      const round = await client.query('SELECT id, status FROM spin_wheels WHERE tournament_id=$1 AND tournament_round=$2', [t.id, t.current_round]);
+      if(round.rows.some(w=> w.status!=='finished')){ await client.query('ROLLBACK'); return; }
+      const places = await client.query(`SELECT p.user_id, p.final_place FROM spin_participants p
+        WHERE p.wheel_id = ANY($1) ORDER BY p.final_place`, [round.rows.map(w=> w.id)]);
+      if(round.rowCount===1){
+        const prizePool = Number(t.prize_pool);
+        const shares = rules.payoutShares(prizePool, t.payout_table, places.rowCount);
+        const standings = places.rows.map((p, i)=> ({...p, payout: shares[i] || 0}));
+        const paid = standings.filter(s=> s.payout);
+        if(prizePool) await ledger.post(client, {kind:'payout', meta:{role:'tournament', tournament: t.id, places: paid.map(s=> [s.user_id, s.final_place])}, entries:[
+          {account: ledger.tournamentAccount(t.id), amount: -prizePool},
+          ...paid.map(s=> ({account: ledger.userAccount(s.user_id), amount: s.payout}))
+        ]});
+        for(const s of standings){
+          await client.query('UPDATE tournament_entries SET final_place=$1, payout=$2 WHERE tournament_id=$3 AND user_id=$4',
+            [s.final_place, s.payout, t.id, s.user_id]);
+        }
+        await client.query("UPDATE tournaments SET status='finished', finished_at=now(), prize_pool=0 WHERE id=$1", [t.id]);
+        finished = true;
+      } else {
+        const advancing = places.rows.filter(p=> p.final_place <= t.advance_per_wheel).map(p=> p.user_id);
+        await client.query(`UPDATE tournament_entries SET out_in_round=$2 WHERE tournament_id=$1 AND out_in_round IS NULL
+          AND NOT (user_id = ANY($3))`, [t.id, t.current_round, advancing]);
+        next = await seatRound(client, t, shuffle(advancing), t.current_round + 1);
+      }
+      await client.query('COMMIT');
+    }catch(e){
+      await client.query('ROLLBACK').catch(()=>{});
+      console.error('tournament advance error', e);
+      return;
+    }finally{ client.release(); }
+    if(finished) await stats.record(stats.recordTournament, tournamentId);
+    await launch(next);
+    await emitBracket(tournamentId);
+  }
+
+  /**
+   * Abort a registering or running tournament: refund every buy-in out of the
+   * prize pool, then abort its running wheels. Returns false if it was over.
+   */
+  async function abortTournament(tournamentId, reason){
+    const client = await pool.connect();
+    try{
+      await client.query('BEGIN');
+      const tq = await client.query('SELECT status FROM tournaments WHERE id=$1 FOR UPDATE', [tournamentId]);
+      if(!tq.rowCount || !['registering','running'].includes(tq.rows[0].status)){ await client.query('ROLLBACK'); return false; }
+      const entries = await client.query('SELECT user_id, buy_in FROM tournament_entries WHERE tournament_id=$1 ORDER BY user_id', [tournamentId]);
+      for(const e of entries.rows.filter(e=> Number(e.buy_in))){
+        await ledger.post(client, {kind:'refund', meta:{reason, tournament: tournamentId}, entries:[
+          {account: ledger.tournamentAccount(tournamentId), amount: -Number(e.buy_in)},
+          {account: ledger.userAccount(e.user_id), amount: Number(e.buy_in)}
+        ]});
+      }
+      await client.query("UPDATE tournaments SET status='aborted', abort_reason=$2, finished_at=now(), prize_pool=0 WHERE id=$1", [tournamentId, reason]);
+      await client.query('COMMIT');
+    }catch(e){ await client.query('ROLLBACK').catch(()=>{}); throw e; }finally{ client.release(); }
+    const running = await query("SELECT id FROM spin_wheels WHERE tournament_id=$1 AND status IN ('pending','active')", [tournamentId]);
+    for(const w of running.rows) await abortWheel(w.id, {reason: 'tournament_aborted'});
+    await emitBracket(tournamentId);
+    return true;
+  }
+
+  // an aborted round wheel ends its tournament
+  async function wheelAborted(wheelId, reason){
+    const wq = await query('SELECT tournament_id FROM spin_wheels WHERE id=$1', [wheelId]);
+    if(wq.rowCount && wq.rows[0].tournament_id) await abortTournament(wq.rows[0].tournament_id, reason);
+  }
+
+  // rounds whose last wheel finished right before a restart still have to advance
+  async function resumeStalled(){
+    const stalled = await query(`SELECT MIN(w.id) AS wheel_id FROM tournaments t
+      JOIN spin_wheels w ON w.tournament_id=t.id AND w.tournament_round=t.current_round
+      WHERE t.status='running' GROUP BY t.id HAVING bool_and(w.status='finished')`);
+    for(const s of stalled.rows) await wheelFinished(s.wheel_id);
+  }
+
+  app.get('/api/tournaments', async (req,res)=>{
+    try{
+      const r = await query(`SELECT t.*, (SELECT COUNT(*) FROM tournament_entries e WHERE e.tournament_id=t.id)::int AS entrants
+        FROM tournaments t ORDER BY t.status IN ('registering','running') DESC, t.id DESC LIMIT 50`);
+      res.json(r.rows);
+    }catch(e){ console.error(e); res.status(500).json({error:e.message}); }
+  });
+
+  const byId = v.object({id: v.int({min: 1})});
+
+  app.get('/api/tournaments/:id', v.validate({params: byId}), async (req,res)=>{
+    try{
+      const b = await bracket(req.params.id);
+      if(!b) return res.status(404).json({error:'tournament not found'});
+      res.json(b);
+    }catch(e){ console.error(e); res.status(500).json({error:e.message}); }
+  });
+
+  app.post('/api/tournaments', auth.requireAuth, auth.requireAdmin, rateLimit.limit('create'), v.validate({body: v.object({
+    name: v.string({max: 100}),
+    buy_in: v.int({min: 0, max: MAX_BUY_IN, default: 0}),
+    wheel_size: v.int({min: 3, max: MAX_WHEEL_SIZE}),
+    advance_per_wheel: v.int({min: 1}),
+    ...rules.FIELDS
+  })}), idempotent(), async (req,res)=>{
+    try{
+      const {name, buy_in: buyIn, wheel_size: size, advance_per_wheel: advance} = req.body;
+      // fewer than half of each wheel advances, so every round shrinks the field
+      if(advance * 2 >= size) return v.invalid(res, 'advance_per_wheel must be less than half of wheel_size', 'advance_per_wheel');
+      const parsed = rules.parseRules(req.body);
+      if(parsed.error) return v.invalid(res, parsed.error);
+      const {payout_table, ...wheelRules} = parsed.rules;
+      const r = await query(`INSERT INTO tournaments (name, owner_id, buy_in, wheel_size, advance_per_wheel, rules, payout_table)
+        VALUES ($1,$2,$3,$4,$5,$6,$7) RETURNING *`,
+        [name, req.user.id, buyIn, size, advance, JSON.stringify(wheelRules), JSON.stringify(payout_table)]);
+      await audit(req.user.id, 'tournament_create', `tournament:${r.rows[0].id}`, {name: r.rows[0].name, buy_in: buyIn, wheel_size: size, advance_per_wheel: advance});
+      await emitBracket(r.rows[0].id);
+      res.json(r.rows[0]);
+    }catch(e){ console.error(e); res.status(500).json({error:e.message}); }
+  });
+
+  // pay the buy-in into the prize pool
+  app.post('/api/tournaments/:id/join', auth.requireAuth, rateLimit.limit('join'), v.validate({params: byId, body: v.object({})}), idempotent(), async (req,res)=>{
+    const tournamentId = req.params.id;
+    const client = await pool.connect();
+    try{
+      await client.query('BEGIN');
+      const tq = await client.query('SELECT * FROM tournaments WHERE id=$1 FOR UPDATE', [tournamentId]);
+      if(!tq.rowCount) throw new Error('tournament not found');
+      const t = tq.rows[0];
+      if(t.status!=='registering') throw new Error('registration closed');
+      const dup = await client.query('SELECT 1 FROM tournament_entries WHERE tournament_id=$1 AND user_id=$2', [tournamentId, req.user.id]);
+      if(dup.rowCount) throw new Error('already joined');
+      const buyIn = Number(t.buy_in);
+      if(buyIn) await ledger.post(client, {kind:'join', meta:{tournament: tournamentId}, entries:[
+        {account: ledger.userAccount(req.user.id), amount: -buyIn},
+        {account: ledger.tournamentAccount(tournamentId), amount: buyIn}
+      ]});
+      await client.query('INSERT INTO tournament_entries (tournament_id, user_id, buy_in) VALUES ($1,$2,$3)', [tournamentId, req.user.id, buyIn]);
+      await client.query('UPDATE tournaments SET prize_pool = prize_pool + $1 WHERE id=$2', [buyIn, tournamentId]);
+      await client.query('COMMIT');
+      await emitBracket(tournamentId);
+      res.json({ok:true});
+    }catch(e){
+      await client.query('ROLLBACK').catch(()=>{});
+      res.status(400).json({error: e.message});
+    }finally{ client.release(); }
+  });
+
+  // close registration and start round 1 (needs 2 entrants)
+  app.post('/api/tournaments/:id/start', auth.requireAuth, auth.requireAdmin, v.validate({params: byId, body: v.object({})}), idempotent(), async (req,res)=>{
+    const tournamentId = req.params.id;
+    const client = await pool.connect();
+    let wheels;
+    try{
+      await client.query('BEGIN');
+      const tq = await client.query('SELECT * FROM tournaments WHERE id=$1 FOR UPDATE', [tournamentId]);
+      if(!tq.rowCount) throw new Error('tournament not found');
+      const t = tq.rows[0];
+      if(t.status!=='registering') throw new Error('tournament already started');
+      const entries = await client.query('SELECT user_id FROM tournament_entries WHERE tournament_id=$1', [tournamentId]);
+      if(entries.rowCount < 2) throw new Error('not enough entrants');
+      await client.query("UPDATE tournaments SET status='running' WHERE id=$1", [tournamentId]);
+      wheels = await seatRound(client, t, shuffle(entries.rows.map(e=> e.user_id)), 1);
+      await audit(req.user.id, 'tournament_start', `tournament:${tournamentId}`, {entrants: entries.rowCount, wheels: wheels.length}, client);
+      await client.query('COMMIT');
+    }catch(e){
+      await client.query('ROLLBACK').catch(()=>{});
+      client.release();
+      return res.status(400).json({error: e.message});
+    }
+    client.release();
+    try{
+      await launch(wheels);
+      await emitBracket(tournamentId);
+      res.json({ok:true, wheels: wheels.map(w=> w.id)});
+    }catch(e){ console.error(e); res.status(500).json({error:e.message}); }
+  });
+
+  app.post('/api/admin/tournaments/:id/abort', auth.requireAuth, auth.requireAdmin, v.validate({params: byId, body: v.object({
+    reason: v.string({max: 200, default: 'admin_abort'})
+  })}), idempotent(), async (req,res)=>{
+    try{
+      const tournamentId = req.params.id;
+      const {reason} = req.body;
+      if(!await abortTournament(tournamentId, reason)) return res.status(400).json({error:'tournament not running'});
+      await audit(req.user.id, 'tournament_abort', `tournament:${tournamentId}`, {reason});
+      res.json({ok:true});
+    }catch(e){ console.error(e); res.status(500).json({error:e.message}); }
+  });
+
+  return { bracket, wheelFinished, wheelAborted, abortTournament, resumeStalled };
+};
@@ -0,0 +1,215 @@
+/**
+ * Declared input schemas for REST routes and Socket.IO events.
+ *
+ * A schema checks one value and returns it cleaned up: numbers and booleans
+ * given as strings (route params, query strings) are converted, strings are
+ * trimmed, dates become Date objects and objects keep only their declared
+ * keys. Missing values (undefined, null or '') get the schema's `default`,
+ * are left out when it is `optional`, and are an error otherwise.
+ *
+ * Problems are reported as details {field, code, message} with code one of
+ * required, type, min, max, enum, pattern, unknown (an undeclared key) or
+ * invalid (a rule across fields, see invalid()). Every rejection carries
+ * code 'invalid_input':
+ * - REST: validate({params, query, body}) answers 400
+ *   {error, code:'invalid_input', details}
+ * - sockets: validated(schema, handler) acks
+ *   {success:false, message, code:'invalid_input', details}
+ */
+const INVALID_INPUT = 'invalid_input';
+
+function missing(value){
+  return value===undefined || value===null || value==='';
+}
+
+function label(field){
+  return field || 'payload';
+}
+
+// build a schema from a check(value, field, errors) that only sees present values
+function schema(check, {optional = false, default: fallback} = {}){
+  return { check, optional, default: fallback };
+}
+
+function fail(errors, field, code, message){
+  errors.push({field: field || null, code, message: `${label(field)} ${message}`});
+}
+
+// run `s` on `value`, handling missing values
+function run(s, value, field, errors){
+  if(missing(value)){
+    if(s.default!==undefined) return s.default;
+    if(!s.optional) fail(errors, field, 'required', 'is required');
+    return undefined;
+  }
+  return s.check(value, field, errors);
+}
+
+function bounds(n, field, errors, {min, max}){
+  if(min!=null && n < min) return fail(errors, field, 'min', `must be at least ${min}`);
+  if(max!=null && n > max) return fail(errors, field, 'max', `must be at most ${max}`);
+  return n;
+}
+
+function int(opts = {}){
+  return schema((value, field, errors)=> {
+    const n = typeof value==='string' && /^-?\d+$/.test(value) ? Number(value) : value;
+    if(!Number.isSafeInteger(n)) return fail(errors, field, 'type', 'must be an integer');
+    return bounds(n, field, errors, opts);
+  }, opts);
+}
+
+function number(opts = {}){
+  return schema((value, field, errors)=> {
+    const n = typeof value==='string' && value.trim()!=='' ? Number(value) : value;
+    if(typeof n!=='number' || !Number.isFinite(n)) return fail(errors, field, 'type', 'must be a number');
+    return bounds(n, field, errors, opts);
+  }, opts);
+}
+
+function string(opts = {}){
+  const {min = 1, max, pattern, trim = true} = opts;
+  return schema((value, field, errors)=> {
+    if(typeof value!=='string') return fail(errors, field, 'type', 'must be a string');
+    const s = trim ? value.trim() : value;
+    if(s.length < min) return fail(errors, field, 'min', `must be at least ${min} characters`);
+    if(max!=null && s.length > max) return fail(errors, field, 'max', `must be at most ${max} characters`);
+    if(pattern && !pattern.test(s)) return fail(errors, field, 'pattern', 'has an invalid format');
+    return s;
+  }, opts);
+}
+
+function boolean(opts = {}){
+  return schema((value, field, errors)=> {
+    if(value==='true' || value==='false') return value==='true';
+    if(typeof value!=='boolean') return fail(errors, field, 'type', 'must be true or false');
+    return value;
+  }, opts);
+}
+
+function oneOf(values, opts = {}){
+  return schema((value, field, errors)=> {
+    if(!values.includes(value)) return fail(errors, field, 'enum', `must be one of ${values.join(', ')}`);
+    return value;
+  }, opts);
+}
+
+// an ISO date string or epoch milliseconds
+function date(opts = {}){
+  return schema((value, field, errors)=> {
+    const d = typeof value==='string' || typeof value==='number' ? new Date(value) : null;
+    if(!d || isNaN(d.getTime())) return fail(errors, field, 'type', 'must be an ISO date');
+    return d;
+  }, opts);
+}
+
+function array(item, opts = {}){
+  const {min = 0, max} = opts;
+  return schema((value, field, errors)=> {
+    if(!Array.isArray(value)) return fail(errors, field, 'type', 'must be an array');
+    if(value.length < min) return fail(errors, field, 'min', `must have at least ${min} items`);
+    if(max!=null && value.length > max) return fail(errors, field, 'max', `must have at most ${max} items`);
+    return value.map((v, i)=> run(item, v, `${label(field)}[${i}]`, errors));
+  }, opts);
+}
+
+// a comma-separated query string value, checked item by item
+function list(item, opts = {}){
+  return schema((value, field, errors)=> {
+    if(typeof value!=='string') return fail(errors, field, 'type', 'must be a comma-separated list');
+    return value.split(',').map((v, i)=> run(item, v.trim(), `${label(field)}[${i}]`, errors));
+  }, opts);
+}
+
+/**
+ * A plain object with the declared `shape`; undeclared keys are rejected
+ * (or dropped with {unknown: 'ignore'}).
+ */
+function object(shape, opts = {}){
+  const {unknown = 'reject'} = opts;
+  const base = schema((value, field, errors)=> {
+    if(typeof value!=='object' || Array.isArray(value)) return fail(errors, field, 'type', 'must be an object');
+    const out = {};
+    for(const [key, s] of Object.entries(shape)){
+      const v = run(s, value[key], field ? `${field}.${key}` : key, errors);
+      if(v!==undefined) out[key] = v;
+    }
+    if(unknown==='reject'){
+      for(const key of Object.keys(value)){
+        if(!Object.prototype.hasOwnProperty.call(shape, key)) fail(errors, field ? `${field}.${key}` : key, 'unknown', 'is not allowed');
+      }
+    }
+    return out;
+  }, opts);
+  return {...base, object: true};
+}
+
+// the first of `schemas` that accepts the value; `message` describes them all
+function anyOf(schemas, opts = {}){
+  return schema((value, field, errors)=> {
+    for(const s of schemas){
+      const attempt = [];
+      const v = run(s, value, field, attempt);
+      if(!attempt.length) return v;
+    }
+    return fail(errors, field, 'type', opts.message || 'has an invalid value');
+  }, opts);
+}
+
+/**
+ * Check `value` against `s`. Returns {value} (cleaned) or {details}.
+ */
+function check(s, value){
+  const errors = [];
+  const cleaned = run(s, value, '', errors);
+  return errors.length ? {details: errors} : {value: cleaned};
+}
+
+function message(details){
+  return details.map(d=> d.message).join('; ');
+}
+
+/**
+ * Express middleware checking route params, query string and JSON body;
+ * the cleaned values replace req.params / req.query / req.body.
+ */
+function validate(parts){
+  return (req, res, next)=> {
+    const details = [];
+    const cleaned = {};
+    for(const part of ['params', 'query', 'body']){
+      if(!parts[part]) continue;
+      const r = check(parts[part], req[part] || {});
+      if(r.details) details.push(...r.details);
+      else cleaned[part] = r.value;
+    }
+    if(details.length) return res.status(400).json({error: message(details), code: INVALID_INPUT, details});
+    Object.assign(req, cleaned);
+    next();
+  };
+}
+
+/**
+ * 400 for a rule the schemas cannot express (one value against another,
+ * dates in the past, ...), in the same shape as a schema rejection.
+ */
+function invalid(res, msg, field = null){
+  res.status(400).json({error: msg, code: INVALID_INPUT, details: [{field, code: 'invalid', message: msg}]});
+}
+
+/**
+ * Socket.IO event listener that runs handler(cleanedPayload, ack) for valid
+ * payloads; invalid ones are acked with the details (or dropped without ack).
+ */
+function validated(s, handler){
+  return (payload, ack)=> {
+    const r = check(s, payload===undefined && s.object ? {} : payload);
+    if(r.details){
+      if(typeof ack==='function') ack({success: false, message: message(r.details), code: INVALID_INPUT, details: r.details});
+      return;
+    }
+    return handler(r.value, ack);
+  };
+}
+
+module.exports = { INVALID_INPUT, int, number, string, boolean, oneOf, date, array, list, object, anyOf, check, validate, invalid, validated };
@@ -0,0 +1,42 @@
+/**
+ * Per-wheel event log. Every wheel event gets the next `seq` for its wheel,
+ * is stored in `wheel_events` and then emitted with that seq, so a client that
+ * knows the last seq it saw can ask for everything after it.
+ */
+const { query } = require('./db');
+
+const LOBBY = 'lobby';
+function wheelRoom(wheelId){ return `wheel:${wheelId}`; }
+
+// resume requests further behind than this get a fresh snapshot instead
+const MAX_REPLAY = 500;
+
+module.exports = function (io) {
+  /**
+   * Record and emit an event. In-game events reach the `wheel:<id>` room only;
+   * `lobby: true` also sends it to the lobby (each socket receives it once).
+   */
+  async function publish(wheelId, event, payload, {lobby = false} = {}){
+    const r = await query(`WITH s AS (UPDATE spin_wheels SET event_seq = event_seq + 1 WHERE id=$1 RETURNING event_seq)
+      INSERT INTO wheel_events (wheel_id, seq, event, payload) SELECT $1, event_seq, $2, $3 FROM s RETURNING seq`,
+      [wheelId, event, JSON.stringify(payload)]);
+    const message = {...payload, seq: r.rows[0].seq};
+    let target = io.to(wheelRoom(wheelId));
+    if(lobby) target = target.to(LOBBY);
+    target.emit(event, message);
+    return message;
+  }
+
+  /**
+   * Events after `fromSeq`, oldest first, or null if there are too many to
+   * replay (the caller should send a snapshot instead).
+   */
+  async function eventsSince(wheelId, fromSeq){
+    const r = await query('SELECT seq, event, payload FROM wheel_events WHERE wheel_id=$1 AND seq > $2 ORDER BY seq LIMIT $3',
+      [wheelId, Number(fromSeq) || 0, MAX_REPLAY + 1]);
+    if(r.rowCount > MAX_REPLAY) return null;
+    return r.rows.map(e=> ({seq: e.seq, event: e.event, payload: {...e.payload, seq: e.seq}}));
+  }
+
+  return { LOBBY, wheelRoom, publish, eventsSince };
+};
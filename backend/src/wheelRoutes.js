@@ -0,0 +1,70 @@
+const express = require('express');
+const gameService = require('./gameService');
+const payments = require('./payments');
+const prisma = require('./prismaClient');
+const { requireToken } = require('./auth');
+const { idempotent, prismaStore } = require('./idempotency');
+
+/**
+ * REST routes for the Prisma wheel service (companion to socketHandlers):
+ *   require('./wheelRoutes')(app);
+ * The payment webhook reads its raw body itself, so mount these before any
+ * app-wide express.json().
+ */
+module.exports = function (app) {
+  const idempotentPayment = idempotent(prismaStore(prisma));
+
+  app.get('/wheels', async (req, res) => {
+    try {
+      const wheels = await prisma.wheel.findMany({
+        orderBy: { createdAt: 'desc' }, take: 20, include: { joins: true }
+      });
+      // the seed is only published through /verify once the wheel has finished
+      res.json(wheels.map(({ serverSeed, serverSeedSealed, ...w }) => w));
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // All inputs of a finished spin plus the outcome recomputed from them
+  app.get('/wheels/:id/verify', async (req, res) => {
+    try {
+      res.json(await gameService.verifyWheel(req.params.id));
+    } catch (e) {
+      res.status(e.message === 'Wheel not found' ? 404 : 500).json({ error: e.message });
+    }
+  });
+
+  // Top-ups and cash-outs through the configured provider
+  app.post('/payments/deposits', requireToken, express.json(), idempotentPayment, async (req, res) => {
+    try {
+      res.json(await payments.deposit(req.user.id, Number(req.body.amount)));
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  });
+
+  app.post('/payments/withdrawals', requireToken, express.json(), idempotentPayment, async (req, res) => {
+    try {
+      res.json(await payments.withdraw(req.user.id, Number(req.body.amount)));
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  });
+
+  app.get('/payments', requireToken, async (req, res) => {
+    const list = await prisma.payment.findMany({ where: { userId: req.user.id }, orderBy: { createdAt: 'desc' }, take: 50 });
+    res.json(list);
+  });
+
+  // Provider callbacks: signature is checked against the raw body
+  app.post('/payments/webhook/:provider', express.raw({ type: '*/*' }), async (req, res) => {
+    try {
+      const payment = await payments.handleWebhook(req.params.provider, req.body, req.headers['x-payment-signature']);
+      res.json({ ok: true, status: payment.status });
+    } catch (e) {
+      res.status(e.message === 'Invalid signature' ? 401 : 400).json({ error: e.message });
+    }
+  });
+};
@@ -1,80 +1,227 @@
-import React, {useEffect, useState} from 'react';
+import React, {useEffect, useRef, useState} from 'react';
 import io from 'socket.io-client';
 import axios from 'axios';
+import {WHEEL_EVENTS, applyWheelEvent, hasGap} from './wheelState';
+import GameView from './component/GameView';
+import Chat from './component/Chat';
+import {syncClock} from './clock';
+import AdminConsole from './component/AdminConsole';
+import Tournaments from './component/Tournaments';
+import Leaderboard from './component/Leaderboard';
+import Wallet from './component/Wallet';
+import {API, setAuthHeader, postOnce} from './api';
 
-const API = import.meta.env.VITE_API || 'http://localhost:4000';
-const socket = io(API);
+// the handshake reads the current token each time it (re)connects
+const socket = io(API, { autoConnect: false, auth: cb => cb({ token: localStorage.getItem('token') }) });
 
 export default function App(){
   const [users, setUsers] = useState([]);
   const [wheels, setWheels] = useState([]);
-  const [participants, setParticipants] = useState([]);
   const [selectedWheel, setSelectedWheel] = useState(null);
-  const [userId, setUserId] = useState(2); // demo default: alice (id 2)
-  const [ownerId, setOwnerId] = useState(1); // admin (id 1)
+  const [wheelState, setWheelState] = useState(null); // snapshot + applied events
+  const wheelStateRef = useRef(null);
+  wheelStateRef.current = wheelState;
+  const selectedIdRef = useRef(null);
+  selectedIdRef.current = selectedWheel?.id;
+  const [me, setMe] = useState(null);
+  const [credentials, setCredentials] = useState({username:'', password:''});
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(null); // action in flight, e.g. 'join-3'
+  const [showAdmin, setShowAdmin] = useState(false);
+  const [showLeaderboard, setShowLeaderboard] = useState(false);
+  const [showWallet, setShowWallet] = useState(false);
+  const [clockOffset, setClockOffset] = useState(0); // server clock - local clock (ms)
+  const [audience, setAudience] = useState(null); // users watching the selected wheel
+  const [upcoming, setUpcoming] = useState({wheels: [], templates: []}); // scheduled wheels and recurring templates
 
   useEffect(()=> {
-    socket.on('connect', ()=> console.log('connected'));
-    socket.on('participantJoined', (d)=> {
-      if(selectedWheel && d.wheelId==selectedWheel.id) setParticipants(d.participants);
+    if(!localStorage.getItem('token')) return;
+    axios.get(API + '/api/auth/me').then(r=> setMe(r.data)).catch(()=> logout());
+  }, []);
+
+  useEffect(()=> {
+    if(!me) return;
+    socket.connect();
+    return ()=> socket.disconnect();
+  }, [me]);
+
+  // rooms do not survive a reconnect, so they are (re)joined on every 'connect';
+  // the clock offset is re-measured then too, and every few minutes for drift
+  useEffect(()=> {
+    const resync = ()=> syncClock(socket).then(setClockOffset);
+    const onConnect = ()=> { socket.emit('joinRoom', 'lobby'); resync(); };
+    socket.on('connect', onConnect);
+    const t = setInterval(()=> socket.connected && resync(), 300000);
+    return ()=> { socket.off('connect', onConnect); clearInterval(t); };
+  }, []);
+
+  // only the selected wheel's in-game traffic is received. The first watch gets
+  // a 'wheel:state' snapshot; after a reconnect we ask for the events missed
+  // since the last seq we applied instead of refetching everything.
+  useEffect(()=> {
+    if(!selectedWheel) return;
+    const wheelId = selectedWheel.id;
+    const room = `wheel:${wheelId}`;
+    const watch = ()=> {
+      const known = wheelStateRef.current;
+      if(known && known.wheelId===wheelId) resume(wheelId, known.seq);
+      else socket.emit('joinRoom', room);
+    };
+    if(socket.connected) watch();
+    socket.on('connect', watch);
+    return ()=> { socket.off('connect', watch); socket.emit('leaveRoom', room); setWheelState(null); setAudience(null); };
+  }, [selectedWheel?.id]);
+
+  useEffect(()=> {
+    const onState = (state)=> onSnapshot(state);
+    const onAudience = (a)=> { if(a.wheelId===selectedIdRef.current) setAudience(a.watching); };
+    const onBanned = (b)=> { if(b.wheelId===selectedIdRef.current){ setSelectedWheel(null); setError('You are banned from that wheel'); } };
+    const handlers = WHEEL_EVENTS.map(event=> [event, (p)=> {
+      const current = wheelStateRef.current;
+      if(hasGap(current, p)) resume(current.wheelId, current.seq);
+      else setWheelState(s=> applyWheelEvent(s, event, p));
       fetchWheels();
-    });
+    }]);
+    socket.on('wheel:state', onState);
+    socket.on('wheel:audience', onAudience);
+    socket.on('wheel:banned', onBanned);
     socket.on('wheelCreated', fetchWheels);
-    socket.on('wheelStarted', fetchWheels);
-    socket.on('userEliminated', fetchWheels);
-    socket.on('wheelFinished', fetchWheels);
+    handlers.forEach(([event, fn])=> socket.on(event, fn));
     fetchData();
-    return ()=> socket.off();
-  }, [selectedWheel]);
+    return ()=> {
+      socket.off('wheel:state', onState);
+      socket.off('wheel:audience', onAudience);
+      socket.off('wheel:banned', onBanned);
+      socket.off('wheelCreated', fetchWheels);
+      handlers.forEach(([event, fn])=> socket.off(event, fn));
+    };
+  }, []);
+
+  // a snapshot for a wheel we stopped watching meanwhile is dropped
+  function onSnapshot(state){
+    if(state && state.wheelId===selectedIdRef.current) setWheelState(state);
+  }
+  function resume(wheelId, fromSeq){
+    socket.emit('wheel:resume', {wheelId, fromSeq}, (res)=> {
+      if(!res.success) return;
+      if(res.state) return onSnapshot(res.state);
+      setWheelState(s=> res.events.reduce((acc, e)=> applyWheelEvent(acc, e.event, e.payload), s));
+    });
+  }
+
+  async function login(e){
+    e.preventDefault();
+    try{
+      const r = await axios.post(API + '/api/auth/login', credentials);
+      localStorage.setItem('token', r.data.token);
+      setAuthHeader(r.data.token);
+      setMe(r.data.user);
+      setError(null);
+    }catch(err){ setError(err.response?.data?.error || err.message); }
+  }
+  function logout(){
+    localStorage.removeItem('token');
+    setAuthHeader(null);
+    setMe(null);
+  }
 
   async function fetchData(){
     fetchWheels();
     const u = await axios.get(API + '/api/users'); setUsers(u.data);
   }
+  function watchWheel(w){
+    setSelectedWheel(w);
+  }
   async function fetchWheels(){
     const r = await axios.get(API + '/api/wheels'); setWheels(r.data);
+    const u = await axios.get(API + '/api/wheels/upcoming'); setUpcoming(u.data);
   }
-  async function createWheel(){
-    await axios.post(API + '/api/wheels', {owner_id: ownerId, entry_fee: 500});
-    fetchWheels();
+  // ignores clicks while the same action is in flight
+  async function run(action, fn){
+    if(busy) return;
+    setBusy(action);
+    try{ await fn(); setError(null); }
+    catch(err){ setError(err.response?.data?.error || err.message); }
+    finally{ setBusy(null); }
   }
-  async function joinWheel(id){
-    await axios.post(API + `/api/wheels/${id}/join`, {user_id: userId});
-    const p = await axios.get(API + `/api/wheels/${id}/participants`); setParticipants(p.data);
-    setSelectedWheel(wheels.find(w=>w.id===id));
+  function leaveWheel(id){
+    return run(`leave-${id}`, ()=> postOnce(API + `/api/wheels/${id}/leave`));
   }
-  async function startWheel(id){
-    await axios.post(API + `/api/wheels/${id}/start`, {owner_id: ownerId});
+  function joinWheel(id){
+    return run(`join-${id}`, async ()=>{
+      await postOnce(API + `/api/wheels/${id}/join`);
+      watchWheel(wheels.find(w=>w.id===id));
+    });
   }
 
   return (
     <div style={{padding:20,fontFamily:'Arial'}}>
       <h1>Spin Wheel Game (demo)</h1>
+      {me?.is_admin && <button onClick={()=> setShowAdmin(!showAdmin)}>{showAdmin ? 'Hide' : 'Show'} admin console</button>}
+      {me && <button onClick={()=> setShowLeaderboard(!showLeaderboard)}>{showLeaderboard ? 'Hide' : 'Show'} leaderboard</button>}
+      {me && <button onClick={()=> setShowWallet(!showWallet)}>{showWallet ? 'Hide' : 'Show'} wallet</button>}
+      {me?.is_admin && showAdmin && <AdminConsole socket={socket}/>}
+      {me && showLeaderboard && <Leaderboard socket={socket} me={me}/>}
+      {me && showWallet && <Wallet socket={socket} me={me}/>}
       <div style={{display:'flex',gap:20}}>
         <div style={{flex:1}}>
-          <h3>Users</h3>
-          <select value={userId} onChange={e=>setUserId(Number(e.target.value))}>
-            {users.map(u=> <option key={u.id} value={u.id}>{u.username} — {u.coins} coins</option>)}
-          </select>
+          <h3>Account</h3>
+          {me ? (
+            <div>
+              Signed in as <strong>{me.username}</strong> — {users.find(u=>u.id===me.id)?.coins ?? me.coins} coins
+              {me.is_admin && ' (admin)'} <button onClick={logout}>Log out</button>
+            </div>
+          ) : (
+            <form onSubmit={login}>
+              <input placeholder="username" value={credentials.username} onChange={e=>setCredentials({...credentials, username:e.target.value})}/>
+              <input placeholder="password" type="password" value={credentials.password} onChange={e=>setCredentials({...credentials, password:e.target.value})}/>
+              <button type="submit">Log in</button>
+              {error && <div style={{color:'red'}}>{error}</div>}
+            </form>
+          )}
           <h3>Wheels</h3>
-          <button onClick={createWheel}>Create Wheel (admin)</button>
+          {me && error && <div style={{color:'red'}}>{error}</div>}
           <ul>
             {wheels.map(w=> (
               <li key={w.id} style={{marginBottom:10}}>
                 <strong>Wheel #{w.id}</strong> — status: {w.status} — entry: {w.entry_fee}
+                {w.starts_at && ` — starts ${new Date(w.starts_at).toLocaleTimeString()}`}
+                <div style={{fontSize:12}}>
+                  players {w.min_participants}–{w.max_participants ?? '∞'}, lobby {w.lobby_seconds}s,
+                  {' '}{w.eliminations_per_round} out every {w.elimination_interval_ms / 1000}s
+                  {Number(w.elimination_acceleration) < 1 && ` (×${Number(w.elimination_acceleration)} per round, min ${w.min_elimination_interval_ms / 1000}s)`}
+                  , payout {(w.payout_table || [100]).join('/')}%
+                </div>
                 <div>
-                  <button onClick={()=> joinWheel(w.id)}>Join</button>
-                  <button onClick={()=> startWheel(w.id)}>Start (admin)</button>
+                  <button onClick={()=> watchWheel(w)}>Watch</button>
+                  <button onClick={()=> joinWheel(w.id)} disabled={!!busy || w.status==='scheduled'}>Join</button>
+                  {w.status==='pending' && <button onClick={()=> leaveWheel(w.id)} disabled={!!busy}>Leave</button>}
                 </div>
               </li>
             ))}
           </ul>
-        </div>
-        <div style={{flex:1}}>
-          <h3>Selected Wheel Participants</h3>
+          <h3>Upcoming</h3>
           <ul>
-            {participants.map(p=> <li key={p.id}>{p.username} {p.eliminated_at ? '(eliminated)' : ''}</li>)}
+            {upcoming.wheels.map(w=> (
+              <li key={`w${w.id}`}>
+                Wheel #{w.id} — {new Date(w.starts_at).toLocaleString()} — entry {w.entry_fee}
+                {w.status==='scheduled' && ` — opens ${new Date(w.opens_at).toLocaleTimeString()}`}
+              </li>
+            ))}
+            {upcoming.templates.map(t=> (
+              <li key={`t${t.id}`}>
+                {t.name}: every {t.every_minutes} min, entry {t.entry_fee}{t.max_participants != null && `, ${t.max_participants} players max`}
+                {' '}— next {new Date(t.next_start_at).toLocaleTimeString()}
+              </li>
+            ))}
+            {!upcoming.wheels.length && !upcoming.templates.length && <li>Nothing scheduled</li>}
           </ul>
+          {me && <Tournaments socket={socket} me={me} onWatchWheel={id=> setSelectedWheel({id})}/>}
+        </div>
+        <div style={{flex:1}}>
+          <h3>{selectedWheel ? `Wheel #${selectedWheel.id}` : 'Selected Wheel'}</h3>
+          {wheelState && <GameView state={wheelState} clockOffset={clockOffset} me={me} audience={audience}/>}
+          {selectedWheel && me && <Chat socket={socket} wheelId={selectedWheel.id} me={me}/>}
         </div>
       </div>
     </div>
@@ -0,0 +1,20 @@
+import axios from 'axios';
+
+export const API = import.meta.env.VITE_API || 'http://localhost:4000';
+
+export function setAuthHeader(token){
+  if(token) axios.defaults.headers.common.Authorization = `Bearer ${token}`;
+  else delete axios.defaults.headers.common.Authorization;
+}
+setAuthHeader(localStorage.getItem('token'));
+
+// Mutating calls carry one Idempotency-Key per user action; a network-level
+// retry reuses it so the server replays the first result instead of charging twice.
+export async function postOnce(url, body){
+  const headers = {'Idempotency-Key': crypto.randomUUID()};
+  try{ return await axios.post(url, body, {headers}); }
+  catch(err){
+    if(err.response) throw err;
+    return axios.post(url, body, {headers});
+  }
+}
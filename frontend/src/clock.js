@@ -0,0 +1,28 @@
+// Estimate of (server clock - local clock) in ms, from 'time:sync' round trips.
+// The sample with the shortest round trip wins: its midpoint is the most
+// accurate guess of when the server read its clock.
+
+function sample(socket){
+  return new Promise((resolve)=> {
+    const sentAt = Date.now();
+    socket.timeout(5000).emit('time:sync', null, (err, res)=> {
+      if(err || !res) return resolve(null);
+      const receivedAt = Date.now();
+      resolve({rtt: receivedAt - sentAt, offset: res.serverTime - (sentAt + receivedAt) / 2});
+    });
+  });
+}
+
+export async function syncClock(socket, samples = 5){
+  let best = null;
+  for(let i = 0; i < samples; i++){
+    const s = await sample(socket);
+    if(s && (!best || s.rtt < best.rtt)) best = s;
+  }
+  return best ? best.offset : 0;
+}
+
+// current server time (epoch ms) given an offset from syncClock
+export function serverNow(offset){
+  return Date.now() + offset;
+}
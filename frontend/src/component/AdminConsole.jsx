@@ -0,0 +1,236 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { API, postOnce } from '../api';
+
+// optional per-wheel rules; blank fields use the server defaults (backend/src/rules.js)
+const RULE_FIELDS = ['lobby_seconds', 'elimination_interval_ms', 'elimination_acceleration', 'min_elimination_interval_ms',
+  'min_participants', 'max_participants', 'eliminations_per_round'];
+
+/**
+ * Admin area: wheel management with live pool totals (room 'admin'), recurring
+ * wheel templates, user search with audited balance adjustments, fee split
+ * editing and the audit log.
+ */
+export default function AdminConsole({ socket }) {
+  const [wheels, setWheels] = useState([]);
+  const [entryFee, setEntryFee] = useState(500);
+  const [rules, setRules] = useState(Object.fromEntries(RULE_FIELDS.map(k => [k, ''])));
+  const [payoutTable, setPayoutTable] = useState(''); // e.g. "60,25,15" or "top3"
+  const [startsAt, setStartsAt] = useState(''); // datetime-local; blank opens the lobby now
+  const [templates, setTemplates] = useState([]);
+  const [template, setTemplate] = useState({ name: '', every_minutes: 15 });
+  const [search, setSearch] = useState('');
+  const [users, setUsers] = useState([]);
+  const [adjust, setAdjust] = useState({}); // userId -> {amount, reason}
+  const [fees, setFees] = useState(null);
+  const [auditLog, setAuditLog] = useState([]);
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const join = () => socket.emit('joinRoom', 'admin');
+    const onPools = p => setWheels(ws => ws.map(w => w.id === p.wheelId
+      ? { ...w, status: p.status, participants: p.participants, winner_pool: p.pools.winner, admin_pool: p.pools.admin, app_pool: p.pools.app }
+      : w));
+    if (socket.connected) join();
+    socket.on('connect', join);
+    socket.on('admin:pools', onPools);
+    ['wheelCreated', 'wheelOpened', 'wheelStarted', 'wheelFinished', 'wheelAborted'].forEach(e => socket.on(e, fetchWheels));
+    fetchWheels();
+    fetchTemplates();
+    axios.get(API + '/api/admin/config/fees').then(r => setFees(r.data));
+    fetchAudit();
+    return () => {
+      socket.emit('leaveRoom', 'admin');
+      socket.off('connect', join);
+      socket.off('admin:pools', onPools);
+      ['wheelCreated', 'wheelOpened', 'wheelStarted', 'wheelFinished', 'wheelAborted'].forEach(e => socket.off(e, fetchWheels));
+    };
+  }, []);
+
+  async function fetchWheels() {
+    const r = await axios.get(API + '/api/admin/wheels');
+    setWheels(r.data);
+  }
+  async function fetchTemplates() {
+    const r = await axios.get(API + '/api/admin/templates');
+    setTemplates(r.data);
+  }
+  async function fetchAudit() {
+    const r = await axios.get(API + '/api/admin/audit');
+    setAuditLog(r.data);
+  }
+  async function run(action, fn) {
+    if (busy) return;
+    setBusy(action);
+    try { await fn(); setError(null); }
+    catch (err) { setError(err.response?.data?.error || err.message); }
+    finally { setBusy(null); }
+  }
+
+  // the rule fields and payout table typed in above, without blanks
+  function ruleSet() {
+    const set = Object.fromEntries(Object.entries(rules).filter(([, v]) => v !== '').map(([k, v]) => [k, Number(v)]));
+    if (payoutTable.trim()) set.payout_table = /^[\d,\s]+$/.test(payoutTable) ? payoutTable.split(',').map(Number) : payoutTable.trim();
+    return set;
+  }
+  function createWheel() {
+    return run('create', async () => {
+      const when = startsAt ? { starts_at: new Date(startsAt).toISOString() } : {};
+      await postOnce(API + '/api/wheels', { entry_fee: entryFee, ...ruleSet(), ...when });
+      fetchWheels();
+    });
+  }
+  // a template uses the same entry fee and rule fields as a single wheel
+  function createTemplate(e) {
+    e.preventDefault();
+    return run('template', async () => {
+      const when = startsAt ? { first_start_at: new Date(startsAt).toISOString() } : {};
+      await postOnce(API + '/api/admin/templates', { ...template, every_minutes: Number(template.every_minutes), entry_fee: entryFee, ...ruleSet(), ...when });
+      setTemplate({ name: '', every_minutes: 15 });
+      fetchTemplates();
+      fetchAudit();
+    });
+  }
+  function toggleTemplate(t) {
+    return run(`template-${t.id}`, async () => {
+      await axios.patch(API + `/api/admin/templates/${t.id}`, { active: !t.active });
+      fetchTemplates();
+      fetchAudit();
+    });
+  }
+  function startWheel(id, force) {
+    return run(`start-${id}`, async () => {
+      await postOnce(API + `/api/wheels/${id}/start`, { force });
+      fetchAudit();
+    });
+  }
+  function abortWheel(id) {
+    const reason = window.prompt('Abort reason', 'admin_abort');
+    if (reason === null) return;
+    // full: refund every entry fee; keep_fees: refund winner-pool shares, pay admin/app shares out
+    const policy = window.confirm('Refund full entry fees? (Cancel keeps the admin/app fees)') ? 'full' : 'keep_fees';
+    return run(`abort-${id}`, async () => {
+      await postOnce(API + `/api/admin/wheels/${id}/abort`, { reason, policy });
+      fetchWheels();
+      fetchAudit();
+    });
+  }
+  function searchUsers(e) {
+    e.preventDefault();
+    return run('search', async () => {
+      const r = await axios.get(API + '/api/admin/users', { params: { q: search } });
+      setUsers(r.data);
+    });
+  }
+  function adjustBalance(userId) {
+    const { amount, reason } = adjust[userId] || {};
+    return run(`adjust-${userId}`, async () => {
+      const r = await postOnce(API + `/api/admin/users/${userId}/adjust`, { amount: Number(amount), reason });
+      setUsers(us => us.map(u => u.id === userId ? r.data : u));
+      setAdjust(a => ({ ...a, [userId]: {} }));
+      fetchAudit();
+    });
+  }
+  function saveFees(e) {
+    e.preventDefault();
+    return run('fees', async () => {
+      const r = await axios.put(API + '/api/admin/config/fees', fees);
+      setFees(r.data);
+      fetchAudit();
+    });
+  }
+
+  const feeTotal = fees ? Number(fees.winner_pct) + Number(fees.admin_pct) + Number(fees.app_pct) : 0;
+
+  return (
+    <div style={{ border: '1px solid #999', padding: 10, marginBottom: 20 }}>
+      <h2>Admin console</h2>
+      {error && <div style={{ color: 'red' }}>{error}</div>}
+
+      <h3>Wheels</h3>
+      <div>
+        entry fee <input type="number" min="1" value={entryFee} onChange={e => setEntryFee(Number(e.target.value))} style={{ width: 80 }} />
+        {RULE_FIELDS.map(k => (
+          <input key={k} type="number" placeholder={k} title={k} value={rules[k]}
+            onChange={e => setRules({ ...rules, [k]: e.target.value })} style={{ width: 150 }} />
+        ))}
+        <input placeholder="payout % e.g. 60,25,15" value={payoutTable} onChange={e => setPayoutTable(e.target.value)} style={{ width: 150 }} />
+        starts at <input type="datetime-local" value={startsAt} onChange={e => setStartsAt(e.target.value)} />
+        <button onClick={createWheel} disabled={!!busy}>Create wheel</button>
+      </div>
+      <table>
+        <thead><tr><th>#</th><th>status</th><th>players</th><th>winner pool</th><th>admin pool</th><th>app pool</th><th /></tr></thead>
+        <tbody>
+          {wheels.map(w => (
+            <tr key={w.id}>
+              <td>{w.id}</td><td>{w.status}{w.starts_at && ` @ ${new Date(w.starts_at).toLocaleString()}`}</td><td>{w.participants}/{w.min_participants}</td>
+              <td>{w.winner_pool}</td><td>{w.admin_pool}</td><td>{w.app_pool}</td>
+              <td>
+                {w.status === 'pending' && <button onClick={() => startWheel(w.id, false)} disabled={!!busy}>Start</button>}
+                {w.status === 'pending' && <button onClick={() => startWheel(w.id, true)} disabled={!!busy}>Force start</button>}
+                <button onClick={() => abortWheel(w.id)} disabled={!!busy}>Abort</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <h3>Recurring templates</h3>
+      <form onSubmit={createTemplate}>
+        <input placeholder="name" value={template.name} onChange={e => setTemplate({ ...template, name: e.target.value })} />
+        every <input type="number" min="1" value={template.every_minutes} style={{ width: 60 }}
+          onChange={e => setTemplate({ ...template, every_minutes: e.target.value })} /> min
+        <button type="submit" disabled={!!busy || !template.name}>Create template</button>
+        <small> (uses the entry fee, rules and start time above)</small>
+      </form>
+      <ul>
+        {templates.map(t => (
+          <li key={t.id}>
+            #{t.id} {t.name} — every {t.every_minutes} min, entry {t.entry_fee}, next {new Date(t.next_start_at).toLocaleString()}
+            {' '}<button onClick={() => toggleTemplate(t)} disabled={!!busy}>{t.active ? 'Pause' : 'Resume'}</button>
+          </li>
+        ))}
+      </ul>
+
+      <h3>Users</h3>
+      <form onSubmit={searchUsers}>
+        <input placeholder="username or id" value={search} onChange={e => setSearch(e.target.value)} />
+        <button type="submit">Search</button>
+      </form>
+      <ul>
+        {users.map(u => (
+          <li key={u.id}>
+            #{u.id} {u.username} — {u.coins} coins{u.is_admin && ' (admin)'}
+            <input type="number" placeholder="+/- coins" value={adjust[u.id]?.amount || ''} style={{ width: 90 }}
+              onChange={e => setAdjust({ ...adjust, [u.id]: { ...adjust[u.id], amount: e.target.value } })} />
+            <input placeholder="reason" value={adjust[u.id]?.reason || ''}
+              onChange={e => setAdjust({ ...adjust, [u.id]: { ...adjust[u.id], reason: e.target.value } })} />
+            <button onClick={() => adjustBalance(u.id)} disabled={!!busy}>Adjust</button>
+          </li>
+        ))}
+      </ul>
+
+      <h3>Fee split</h3>
+      {fees && (
+        <form onSubmit={saveFees}>
+          {['winner_pct', 'admin_pct', 'app_pct'].map(k => (
+            <label key={k} style={{ marginRight: 10 }}>
+              {k} <input type="number" min="0" max="100" value={fees[k]} style={{ width: 60 }}
+                onChange={e => setFees({ ...fees, [k]: e.target.value })} />
+            </label>
+          ))}
+          <span style={{ color: feeTotal === 100 ? 'inherit' : 'red' }}>total {feeTotal}%</span>
+          <button type="submit" disabled={!!busy || feeTotal !== 100}>Save</button>
+        </form>
+      )}
+
+      <h3>Audit log</h3>
+      <ul style={{ fontSize: 12 }}>
+        {auditLog.map(a => (
+          <li key={a.id}>{new Date(a.created_at).toLocaleString()} — {a.admin_username} {a.action} {a.target} {JSON.stringify(a.details)}</li>
+        ))}
+      </ul>
+    </div>
+  );
+}
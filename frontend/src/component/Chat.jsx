@@ -0,0 +1,73 @@
+import React, { useEffect, useState } from 'react';
+
+/**
+ * Chat of one wheel room (server side: backend/src/chat.js). History is
+ * loaded on mount and after every reconnect; admins get moderation buttons.
+ */
+export default function Chat({ socket, wheelId, me }) {
+  const [messages, setMessages] = useState([]);
+  const [text, setText] = useState('');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadHistory = () => socket.emit('chat:history', { wheelId }, res => {
+      if (res.success) setMessages(res.messages);
+      else setError(res.message);
+    });
+    const onMessage = m => { if (m.wheel_id === wheelId) setMessages(ms => [...ms, m]); };
+    const onDeleted = d => { if (d.wheelId === wheelId) setMessages(ms => ms.filter(m => m.id !== d.messageId)); };
+    const onSanction = s => {
+      if (s.wheelId === wheelId && me && s.userId === me.id) setError(s.kind === 'mute' ? 'You have been muted' : 'You have been banned from this wheel');
+    };
+    setMessages([]);
+    if (socket.connected) loadHistory();
+    socket.on('connect', loadHistory);
+    socket.on('chat:message', onMessage);
+    socket.on('chat:deleted', onDeleted);
+    socket.on('chat:sanction', onSanction);
+    return () => {
+      socket.off('connect', loadHistory);
+      socket.off('chat:message', onMessage);
+      socket.off('chat:deleted', onDeleted);
+      socket.off('chat:sanction', onSanction);
+    };
+  }, [wheelId]);
+
+  function send(e) {
+    e.preventDefault();
+    if (!text.trim()) return;
+    socket.emit('chat:send', { wheelId, body: text }, res => {
+      if (res.success) { setText(''); setError(null); }
+      else setError(res.message);
+    });
+  }
+
+  function moderate(event, payload) {
+    socket.emit(event, { wheelId, ...payload }, res => setError(res.success ? null : res.message));
+  }
+
+  return (
+    <div style={{ borderTop: '1px solid #ccc', marginTop: 10 }}>
+      <h4>Chat</h4>
+      <div style={{ maxHeight: 200, overflowY: 'auto', fontSize: 14 }}>
+        {messages.map(m => (
+          <div key={m.id}>
+            <strong>{m.username}</strong>: {m.body}
+            {me?.is_admin && m.user_id !== me.id && (
+              <span style={{ marginLeft: 6 }}>
+                <button onClick={() => moderate('chat:delete', { messageId: m.id })}>delete</button>
+                <button onClick={() => moderate('chat:mute', { userId: m.user_id, minutes: 10 })}>mute 10m</button>
+                <button onClick={() => moderate('chat:ban', { userId: m.user_id })}>ban</button>
+              </span>
+            )}
+          </div>
+        ))}
+      </div>
+      <form onSubmit={send}>
+        <input value={text} maxLength={500} onChange={e => setText(e.target.value)} placeholder="Say something" style={{ width: '70%' }} />
+        <button type="submit">Send</button>
+      </form>
+      {error && <div style={{ color: 'red' }}>{error}</div>}
+    </div>
+  );
+}
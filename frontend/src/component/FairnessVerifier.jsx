@@ -0,0 +1,101 @@
+import React, { useState } from "react";
+import axios from "axios";
+import { sha256Hex, hmacHex, spinIndex, uniformIndex, combineSpinInput } from "../fairness";
+
+// Elimination game (SQL backend): every round's HMAC and pick, that each round
+// starts from the previous one's candidates minus the player it eliminated,
+// and that the last one left won.
+async function eliminationChecks(data) {
+  const checks = [];
+  let left = null;
+  for (const r of data.rounds) {
+    if (left) checks.push({ name: `Round ${r.round} candidates`, expected: left.join(","), actual: r.candidates.join(",") });
+    checks.push({ name: `Round ${r.round} HMAC`, expected: r.hmac, actual: await hmacHex(data.serverSeed, r.round) });
+    const pick = r.candidates[await uniformIndex(data.serverSeed, r.round, r.candidates.length)];
+    checks.push({ name: `Round ${r.round} eliminated`, expected: r.eliminatedUserId, actual: pick });
+    left = r.candidates.filter((id) => id !== pick);
+  }
+  if (data.winnerUserId != null && left && left.length === 1) {
+    checks.push({ name: "Winner", expected: data.winnerUserId, actual: left[0] });
+  }
+  return checks;
+}
+
+// Fetches a finished wheel's inputs and re-derives everything in the browser:
+// a spin (Prisma wheel) or the rounds of an elimination game.
+export default function FairnessVerifier({ wheelId, apiUrl }) {
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  async function verify() {
+    try {
+      const { data } = await axios.get(`${apiUrl}/wheels/${wheelId}/verify`);
+      if (!data.revealed) {
+        setResult({ data, checks: [] });
+        return;
+      }
+      const hash = await sha256Hex(data.serverSeed);
+      if (data.rounds) {
+        setResult({ data, checks: [{ name: "Seed hash", expected: data.serverSeedHash, actual: hash }, ...(await eliminationChecks(data))] });
+        setError(null);
+        return;
+      }
+      const input = combineSpinInput(data.clientSeeds, data.nonce);
+      const index = await spinIndex(data.serverSeed, input, data.segments);
+      const winner = data.players[await uniformIndex(data.serverSeed, input, data.players.length)];
+      const checks = [
+        { name: "Seed hash", expected: data.serverSeedHash, actual: hash },
+        { name: "Winning segment", expected: data.recorded.winningIndex, actual: index },
+        { name: "Winner", expected: data.recorded.winner, actual: winner },
+      ];
+      // prize wheels that hit "spin again" record one entry per spin
+      if (data.spins && data.spins.length > 1) {
+        for (const [i, spin] of data.spins.entries()) {
+          const actual = await spinIndex(data.serverSeed, combineSpinInput(data.clientSeeds, spin.nonce), data.segments);
+          checks.push({ name: `Spin ${i + 1} (nonce ${spin.nonce})`, expected: spin.winningIndex, actual });
+        }
+      }
+      setResult({ data, checks, segment: data.segments[index] });
+      setError(null);
+    } catch (e) {
+      setError(e.response?.data?.error || e.message);
+    }
+  }
+
+  const mismatch = result && result.checks.some((c) => c.expected !== c.actual);
+
+  return (
+    <div style={{ marginTop: 10, textAlign: "left", fontSize: 12 }}>
+      <button onClick={verify}>🔍 Verify fairness</button>
+      {error && <p style={{ color: "red" }}>{error}</p>}
+      {result && !result.data.revealed && <p>Seed not revealed yet (status: {result.data.status}).</p>}
+      {result && result.data.revealed && (
+        <div>
+          <p style={{ color: mismatch ? "red" : "green", fontWeight: "bold" }}>
+            {mismatch ? "⚠️ Mismatch — result does not match the committed seed" : "✅ Result verified"}
+          </p>
+          <div style={{ wordBreak: "break-all" }}>
+            <div>Seed: {result.data.serverSeed}</div>
+            {result.data.rounds ? (
+              <div>Rounds: {result.data.rounds.length}</div>
+            ) : (
+              <>
+                <div>Nonce: {result.data.nonce}</div>
+                <div>Client seeds: {result.data.clientSeeds.join(", ")}</div>
+                <div>Segment: {result.segment?.label}</div>
+                {result.data.mode === "prize" && <div>Payout: {result.data.recorded.payout}</div>}
+              </>
+            )}
+          </div>
+          <ul style={{ paddingLeft: 16 }}>
+            {result.checks.map((c) => (
+              <li key={c.name} style={{ color: c.expected === c.actual ? "inherit" : "red" }}>
+                {c.name}: {c.expected === c.actual ? "ok" : `expected ${c.expected}, got ${c.actual}`}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,92 @@
+import React, { useEffect, useState } from 'react';
+import SpinWheel from './SpinWheel';
+import FairnessVerifier from './FairnessVerifier';
+import { serverNow } from '../clock';
+import { API } from '../api';
+
+function secondsLeft(deadline, clockOffset) {
+  if (!deadline) return null;
+  return Math.max(0, Math.ceil((new Date(deadline).getTime() - serverNow(clockOffset)) / 1000));
+}
+
+function timeOf(at) {
+  return at ? new Date(at).toLocaleTimeString() : '';
+}
+
+/**
+ * Live view of one wheel from its `wheel:state` snapshot + applied events:
+ * countdown to the next server deadline (corrected by the socket clock offset),
+ * survivors, the elimination timeline and, once finished, the winner screen.
+ */
+export default function GameView({ state, clockOffset = 0, me, audience = null }) {
+  const [, setTick] = useState(0); // re-render while counting down
+  const ticking = ['scheduled', 'pending', 'active'].includes(state.status);
+
+  useEffect(() => {
+    if (!ticking) return;
+    const t = setInterval(() => setTick(n => n + 1), 250);
+    return () => clearInterval(t);
+  }, [ticking]);
+
+  const lastOut = state.eliminated[state.eliminated.length - 1];
+  const playing = !!me && [...state.participants, ...state.eliminated].some(p => p.user_id === me.id);
+  const countdown = state.status === 'scheduled' ? secondsLeft(state.opensAt, clockOffset)
+    : state.status === 'pending' ? secondsLeft(state.autoStartAt, clockOffset)
+    : state.status === 'active' ? secondsLeft(state.nextEliminationAt, clockOffset) : null;
+
+  if (state.status === 'finished') {
+    const standings = state.standings || [];
+    const winner = standings[0] || state.participants.find(p => p.user_id === state.winnerUserId);
+    return (
+      <div style={{ textAlign: 'center', padding: 20, border: '2px solid gold', borderRadius: 10 }}>
+        <div style={{ fontSize: 40 }}>🏆</div>
+        <h2 style={{ margin: 0 }}>{winner ? winner.username : 'No winner'}{me && winner && winner.user_id === me.id && ' — that\'s you!'}</h2>
+        {standings.length > 0 && (
+          <ol style={{ textAlign: 'left', display: 'inline-block' }}>
+            {standings.map(s => <li key={s.user_id}>{s.username}{s.payout > 0 && ` — ${s.payout} coins`}</li>)}
+          </ol>
+        )}
+        <FairnessVerifier wheelId={state.wheelId} apiUrl={API + '/api'} />
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div>status: {state.status} — winner pool: {state.pools.winner}</div>
+      <div style={{ fontSize: 12 }}>{playing ? 'You are playing' : 'Spectating'}{audience != null && ` — ${audience} watching`}</div>
+      {state.status === 'aborted' && (
+        <div style={{ color: 'red' }}>
+          Wheel aborted{state.abortReason && ` (${state.abortReason})`}; {state.refundPolicy === 'keep_fees' ? 'winner-pool shares were refunded, fees kept' : 'entry fees were refunded'}.
+          <FairnessVerifier wheelId={state.wheelId} apiUrl={API + '/api'} />
+        </div>
+      )}
+      {countdown !== null && (
+        <div style={{ fontSize: 24, margin: '8px 0' }} aria-live="polite">
+          {{ scheduled: 'Lobby opens in', pending: 'Starts in' }[state.status] || 'Next elimination in'} {countdown}s
+        </div>
+      )}
+      {state.status === 'active' && lastOut && (
+        <div style={{ color: '#c00' }} aria-live="assertive">{lastOut.username} is out (round {lastOut.eliminated_order})</div>
+      )}
+      {/* one slice per remaining player; each elimination spins onto the player before removing them */}
+      <SpinWheel elimination segments={state.participants.map(p => ({ key: p.user_id, label: p.username }))} size={260} />
+      <div style={{ display: 'flex', gap: 20 }}>
+        <div>
+          <h4>Survivors ({state.participants.length})</h4>
+          <ul>
+            {state.participants.map(p => <li key={p.id ?? p.user_id}>{p.username}{me && p.user_id === me.id && ' (you)'}</li>)}
+          </ul>
+        </div>
+        <div>
+          <h4>Eliminated</h4>
+          <ol>
+            {state.eliminated.map(p => (
+              <li key={p.user_id}>{p.username} <small>{timeOf(p.eliminated_at)}</small></li>
+            ))}
+          </ol>
+        </div>
+      </div>
+    </div>
+  );
+}
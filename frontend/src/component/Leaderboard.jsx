@@ -0,0 +1,76 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { API } from '../api';
+
+const PERIODS = { day: 'Today', week: 'This week', all: 'All time' };
+const METRICS = { wins: 'Wins', net_coins: 'Net coins', games_played: 'Games', avg_place: 'Avg. place' };
+
+function fmtPlace(v) {
+  return v == null ? '–' : v.toFixed(2);
+}
+
+/**
+ * Leaderboards (GET /api/leaderboard) and one player's stats
+ * (GET /api/users/:id/stats). Refreshed whenever a wheel finishes.
+ */
+export default function Leaderboard({ socket, me }) {
+  const [period, setPeriod] = useState('week');
+  const [metric, setMetric] = useState('wins');
+  const [board, setBoard] = useState([]);
+  const [playerId, setPlayerId] = useState(me?.id ?? null);
+  const [player, setPlayer] = useState(null);
+
+  useEffect(() => {
+    const refresh = () => {
+      axios.get(API + '/api/leaderboard', { params: { period, metric } }).then(r => setBoard(r.data.rows));
+      if (playerId) axios.get(API + `/api/users/${playerId}/stats`).then(r => setPlayer(r.data));
+    };
+    refresh();
+    socket.on('wheelFinished', refresh);
+    return () => socket.off('wheelFinished', refresh);
+  }, [period, metric, playerId]);
+
+  return (
+    <div>
+      <h3>Leaderboard</h3>
+      <div>
+        {Object.entries(PERIODS).map(([k, label]) => (
+          <button key={k} onClick={() => setPeriod(k)} disabled={period === k}>{label}</button>
+        ))}
+        {' '}by <select value={metric} onChange={e => setMetric(e.target.value)}>
+          {Object.entries(METRICS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+        </select>
+      </div>
+      <table style={{ fontSize: 14 }}>
+        <thead><tr><th>#</th><th>player</th><th>wins</th><th>games</th><th>avg. place</th><th>net coins</th></tr></thead>
+        <tbody>
+          {board.map(r => (
+            <tr key={r.user_id} style={{ fontWeight: me && r.user_id === me.id ? 'bold' : 'normal', cursor: 'pointer' }} onClick={() => setPlayerId(r.user_id)}>
+              <td>{r.rank}</td><td>{r.username}</td><td>{r.wins}</td><td>{r.games_played}</td>
+              <td>{fmtPlace(r.avg_place)}</td><td>{r.net_coins}</td>
+            </tr>
+          ))}
+          {!board.length && <tr><td colSpan={6}>No games yet</td></tr>}
+        </tbody>
+      </table>
+      {player && (
+        <div style={{ marginTop: 10 }}>
+          <h4>{player.username}{me && player.user_id === me.id && ' (you)'}</h4>
+          <div>
+            {player.wins} wins in {player.games_played} games
+            {player.win_rate != null && ` (${Math.round(player.win_rate * 100)}%)`}, average place {fmtPlace(player.avg_place)},
+            net {player.net_coins} coins
+          </div>
+          <div>
+            streak: {player.current_streak > 0 ? `${player.current_streak} wins` : player.current_streak < 0 ? `${-player.current_streak} losses` : '–'},
+            best {player.best_win_streak} wins in a row
+          </div>
+          <div style={{ fontSize: 12 }}>
+            today: {player.today.wins}/{player.today.games_played} won, net {player.today.net_coins};
+            this week: {player.week.wins}/{player.week.games_played} won, net {player.week.net_coins}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -2,17 +2,24 @@ import React, { useEffect, useState } from "react";
 import { socket } from "../socket";
 import axios from "axios";
 import SpinWheel from "./SpinWheel";
+import FairnessVerifier from "./FairnessVerifier";
+import { randomClientSeed } from "../fairness";
 
 export default function Lobby({ userId }) {
   const [wheels, setWheels] = useState([]);
+  // mixed into the spin; players can keep the generated one or type their own
+  const [clientSeed, setClientSeed] = useState(randomClientSeed);
+  // prize mode: the spun segment decides the payout instead of winner-takes-pool
+  const [prizeMode, setPrizeMode] = useState(false);
   const API_URL = import.meta.env.VITE_API_URL || "http://localhost:4000";
 
   // --- Lifecycle ---
   useEffect(() => {
     socket.connect();
 
-    // Receive new wheels in real time
+    // Receive new wheels in real time and watch their wheel:<id> room
     socket.on("wheel:created", (wheel) => {
+      socket.emit("joinRoom", `wheel:${wheel.id}`);
       setWheels((prev) => [wheel, ...prev]);
     });
 
@@ -30,19 +37,22 @@ export default function Lobby({ userId }) {
     // Receive finished wheel updates
     socket.on("wheel:finished", (data) => {
       alert(
-        `🎉 Wheel "${data.wheelId}" finished!\nWinner: ${data.winner}\nPrize: ${data.payout}`
+        `🎉 Wheel "${data.wheelId}" finished!\nWinner: ${data.winner}\nSegment: ${data.winningSegment?.label}\nPrize: ${data.payout}`
       );
       setWheels((prev) =>
         prev.map((w) =>
           w.id === data.wheelId
-            ? { ...w, status: "finished", winner: data.winner }
+            ? { ...w, status: "finished", winner: data.winner, winningIndex: data.winningIndex, nonce: String(data.nonce) }
             : w
         )
       );
     });
 
     fetchWheels();
+    // rooms are lost on reconnect; refetching re-joins them
+    socket.on("connect", fetchWheels);
     return () => {
+      socket.off("connect", fetchWheels);
       socket.off("wheel:created");
       socket.off("wheel:player_joined");
       socket.off("wheel:finished");
@@ -54,23 +64,35 @@ export default function Lobby({ userId }) {
   async function fetchWheels() {
     const res = await axios.get(`${API_URL}/wheels`);
     setWheels(res.data);
+    // per-wheel events (joins, results) only reach sockets in the wheel's room
+    res.data.forEach((w) => socket.emit("joinRoom", `wheel:${w.id}`));
   }
 
   function createWheel() {
-    const segments = [
-      { label: "10", weight: 1 },
-      { label: "20", weight: 1 },
-      { label: "50", weight: 1 },
-      { label: "100", weight: 1 },
-    ];
+    const segments = prizeMode
+      ? [
+          { label: "x2", weight: 2, prize: { type: "multiplier", value: 2 } },
+          { label: "50", weight: 3, prize: { type: "fixed", value: 50 } },
+          { label: "Pool +100", weight: 1, prize: { type: "bonus", value: 100 } },
+          { label: "Spin again", weight: 1, prize: { type: "spin_again" } },
+          { label: "Bust", weight: 3, prize: { type: "bust" } },
+        ]
+      : [
+          { label: "10", weight: 1 },
+          { label: "20", weight: 1 },
+          { label: "50", weight: 1 },
+          { label: "100", weight: 1 },
+        ];
     socket.emit(
       "wheel:create",
       {
-        hostId: userId,
         title: `Demo Wheel ${Date.now()}`,
         segments,
         entryFee: 100,
         maxPlayers: 5,
+        minPlayers: prizeMode ? 2 : 1,
+        mode: prizeMode ? "prize" : "pool",
+        idempotencyKey: crypto.randomUUID(),
       },
       (res) => {
         if (!res.success) alert("❌ " + res.message);
@@ -79,13 +101,14 @@ export default function Lobby({ userId }) {
   }
 
   function joinWheel(wheelId) {
-    socket.emit("wheel:join", { userId, wheelId }, (res) => {
+    socket.emit("wheel:join", { wheelId, clientSeed: clientSeed || undefined, idempotencyKey: crypto.randomUUID() }, (res) => {
       if (!res.success) alert("❌ " + res.message);
+      else setClientSeed(randomClientSeed());
     });
   }
 
   function startWheel(wheelId) {
-    socket.emit("wheel:start", { wheelId }, (res) => {
+    socket.emit("wheel:start", { wheelId, idempotencyKey: crypto.randomUUID() }, (res) => {
       if (!res.success) alert("❌ " + res.message);
     });
   }
@@ -108,6 +131,19 @@ export default function Lobby({ userId }) {
       >
         ➕ Create New Wheel
       </button>
+      <label style={{ marginLeft: 10 }}>
+        <input type="checkbox" checked={prizeMode} onChange={(e) => setPrizeMode(e.target.checked)} /> prize wheel
+      </label>
+      <div style={{ marginBottom: 20 }}>
+        <label>
+          🎲 Client seed:{" "}
+          <input
+            value={clientSeed}
+            onChange={(e) => setClientSeed(e.target.value.replace(/[^\w-]/g, "").slice(0, 64))}
+            style={{ width: 280, fontFamily: "monospace" }}
+          />
+        </label>
+      </div>
 
       <div
         style={{
@@ -135,7 +171,10 @@ export default function Lobby({ userId }) {
             <p>💰 Entry Fee: {w.entryFee}</p>
             <p>👥 Players: {(w.joins || []).length}</p>
             <p>📜 Status: {w.status || "waiting"}</p>
-            <SpinWheel segments={w.segments || []} />
+            <SpinWheel
+              segments={w.segments || []}
+              landOn={w.winningIndex != null ? { index: w.winningIndex, key: `${w.id}:${w.nonce}` } : null}
+            />
 
             {w.status === "waiting" && (
               <div style={{ marginTop: 10 }}>
@@ -170,9 +209,12 @@ export default function Lobby({ userId }) {
             )}
 
             {w.status === "finished" && (
-              <p style={{ color: "green" }}>
-                🏆 Winner: {w.winner || "unknown"}
-              </p>
+              <>
+                <p style={{ color: "green" }}>
+                  🏆 Winner: {w.winner || w.winnerId || "unknown"}
+                </p>
+                <FairnessVerifier wheelId={w.id} apiUrl={API_URL} />
+              </>
             )}
           </div>
         ))}
@@ -1,15 +1,134 @@
-import React from 'react';
+import React, { useEffect, useRef, useState } from 'react';
+
+const PALETTE = ['#e6194b', '#3cb44b', '#ffe119', '#4363d8', '#f58231', '#911eb4', '#46f0f0', '#f032e6', '#bcf60c', '#fabebe'];
+const SPIN_MS = 4000;
+const FULL_TURNS = 5;
+
+function prefersReducedMotion() {
+  return typeof window !== 'undefined' && !!window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+function segmentKey(seg, i) {
+  return seg.key ?? `${i}:${seg.label}`;
+}
+
+// slice angles in degrees, clockwise from 12 o'clock, proportional to weight
+// (same default weight of 1 as deterministicSpinIndex on the server)
+function layout(segments) {
+  const total = segments.reduce((s, seg) => s + (seg.weight || 1), 0);
+  let acc = 0;
+  return segments.map((seg, i) => {
+    const start = (acc / total) * 360;
+    acc += seg.weight || 1;
+    return { seg, key: segmentKey(seg, i), start, end: (acc / total) * 360, color: seg.color || PALETTE[i % PALETTE.length] };
+  });
+}
+
+function point(r, deg) {
+  const rad = ((deg - 90) * Math.PI) / 180;
+  return [r + r * Math.cos(rad), r + r * Math.sin(rad)];
+}
+
+function slicePath(r, start, end) {
+  const [x1, y1] = point(r, start);
+  const [x2, y2] = point(r, end);
+  return `M ${r} ${r} L ${x1} ${y1} A ${r} ${r} 0 ${end - start > 180 ? 1 : 0} 1 ${x2} ${y2} Z`;
+}
+
+// rotation after `current` that brings the middle of `slice` under the top pointer
+function rotationFor(current, slice, animate) {
+  const mid = (slice.start + slice.end) / 2;
+  const delta = (((-mid - current) % 360) + 360) % 360;
+  return current + delta + (animate ? FULL_TURNS * 360 : 0);
+}
+
+/**
+ * Weighted SVG wheel.
+ *
+ * - `landOn: {index, key}` spins to segment `index` (the server-announced
+ *   result); a new `key` spins again even if the index is unchanged.
+ * - `elimination`: segments are the remaining players (give each a stable
+ *   `key`). When one disappears from `segments`, the wheel first lands on it,
+ *   then its slice is removed.
+ * - With prefers-reduced-motion the wheel jumps straight to the result.
+ * `onSpinEnd(segment)` is called once the wheel has stopped.
+ */
+export default function SpinWheel({ segments = [], landOn = null, elimination = false, onSpinEnd, size = 200 }) {
+  const [shown, setShown] = useState(segments); // slices currently drawn
+  const [rotation, setRotation] = useState(0);
+  const [spinning, setSpinning] = useState(false);
+  const pending = useRef(null); // {segment, removal} finished by onStop
+  const latest = useRef(segments);
+  latest.current = segments;
+  const r = size / 2;
+  const slices = layout(shown);
+
+  function spinTo(index, removal = false) {
+    const slice = slices[index];
+    if (!slice) return;
+    const animate = !prefersReducedMotion();
+    pending.current = { segment: slice.seg, removal };
+    setSpinning(animate);
+    setRotation(current => rotationFor(current, slice, animate));
+    if (!animate) setTimeout(onStop, 0);
+  }
+
+  function onStop() {
+    const done = pending.current;
+    pending.current = null;
+    setSpinning(false);
+    if (!done) return;
+    // players eliminated while we were spinning are dropped without a spin
+    if (done.removal) setShown(latest.current);
+    if (onSpinEnd) onSpinEnd(done.segment);
+  }
+
+  useEffect(() => {
+    if (!landOn) return;
+    spinTo(landOn.index);
+  }, [landOn && landOn.key]);
+
+  useEffect(() => {
+    if (!elimination) { setShown(segments); return; }
+    const keep = new Set(segments.map(segmentKey));
+    const removed = slices.filter(s => !keep.has(s.key));
+    // exactly one player out: land on them before dropping the slice
+    if (removed.length === 1 && shown.length > 1 && !pending.current) spinTo(slices.indexOf(removed[0]), true);
+    else if (!pending.current) setShown(segments);
+  }, [segments]);
 
-export default function SpinWheel({ segments = [] }) {
-  // Very simple static representation; for animation integrate CSS transforms and map index->rotation
   return (
-    <div style={{
-      width: 200, height: 200, borderRadius: '50%', border: '6px solid #444',
-      display: 'flex', alignItems: 'center', justifyContent: 'center', position: 'relative'
-    }}>
-      <div style={{ textAlign: 'center' }}>
-        {segments.map((s, i) => <div key={i}>{s.label}</div>)}
-      </div>
+    <div style={{ position: 'relative', width: size, height: size }} role="img"
+      aria-label={`Wheel with ${shown.length} segments${spinning ? ', spinning' : ''}`}>
+      <svg width={size} height={size} viewBox={`0 0 ${size} ${size}`}>
+        <g
+          style={{
+            transform: `rotate(${rotation}deg)`,
+            transformOrigin: 'center',
+            transition: spinning ? `transform ${SPIN_MS}ms cubic-bezier(0.17, 0.67, 0.12, 0.99)` : 'none'
+          }}
+          onTransitionEnd={onStop}
+        >
+          {slices.length === 1 && <circle cx={r} cy={r} r={r} fill={slices[0].color} />}
+          {slices.length > 1 && slices.map(s => <path key={s.key} d={slicePath(r, s.start, s.end)} fill={s.color} stroke="#fff" strokeWidth="1" />)}
+          {slices.map(s => {
+            const mid = (s.start + s.end) / 2;
+            const [x, y] = point(r * 0.62, mid).map(v => v + r * 0.38);
+            return (
+              <text key={`label-${s.key}`} x={x} y={y} fontSize={Math.max(9, size / 18)} textAnchor="middle" dominantBaseline="middle"
+                transform={`rotate(${mid}, ${x}, ${y})`} fill="#111">
+                {String(s.seg.label).slice(0, 12)}
+              </text>
+            );
+          })}
+        </g>
+        <circle cx={r} cy={r} r={r - 1} fill="none" stroke="#444" strokeWidth="2" />
+      </svg>
+      {/* pointer at 12 o'clock */}
+      <div style={{
+        position: 'absolute', top: -4, left: r - 8, width: 0, height: 0,
+        borderLeft: '8px solid transparent', borderRight: '8px solid transparent', borderTop: '16px solid #222'
+      }} />
     </div>
   );
 }
@@ -0,0 +1,142 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { API, postOnce } from '../api';
+
+/**
+ * Tournament list and live bracket (server side: backend/src/tournaments.js).
+ * The list follows the lobby's 'tournament:update'; the selected tournament's
+ * room 'tournament:<id>' streams the whole bracket as 'tournament:state'.
+ * Admins can create, start and abort tournaments here.
+ */
+export default function Tournaments({ socket, me, onWatchWheel }) {
+  const [tournaments, setTournaments] = useState([]);
+  const [selected, setSelected] = useState(null); // tournament id
+  const [bracket, setBracket] = useState(null);
+  const [form, setForm] = useState({ name: '', buy_in: 500, wheel_size: 8, advance_per_wheel: 2, payout_table: 'top3' });
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    socket.on('tournament:update', fetchTournaments);
+    fetchTournaments();
+    return () => socket.off('tournament:update', fetchTournaments);
+  }, []);
+
+  useEffect(() => {
+    if (!selected) return;
+    const room = `tournament:${selected}`;
+    const watch = () => socket.emit('joinRoom', room);
+    const onState = b => { if (b.tournament.id === selected) setBracket(b); };
+    if (socket.connected) watch();
+    socket.on('connect', watch);
+    socket.on('tournament:state', onState);
+    return () => {
+      socket.emit('leaveRoom', room);
+      socket.off('connect', watch);
+      socket.off('tournament:state', onState);
+      setBracket(null);
+    };
+  }, [selected]);
+
+  async function fetchTournaments() {
+    const r = await axios.get(API + '/api/tournaments');
+    setTournaments(r.data);
+  }
+  async function run(action, fn) {
+    if (busy) return;
+    setBusy(action);
+    try { await fn(); setError(null); }
+    catch (err) { setError(err.response?.data?.error || err.message); }
+    finally { setBusy(null); }
+  }
+
+  function create(e) {
+    e.preventDefault();
+    return run('create', async () => {
+      const payout = /^[\d,\s]+$/.test(form.payout_table) ? form.payout_table.split(',').map(Number) : form.payout_table;
+      await postOnce(API + '/api/tournaments', {
+        name: form.name, buy_in: Number(form.buy_in), wheel_size: Number(form.wheel_size),
+        advance_per_wheel: Number(form.advance_per_wheel), payout_table: payout
+      });
+      setForm({ ...form, name: '' });
+    });
+  }
+  const join = id => run(`join-${id}`, () => postOnce(API + `/api/tournaments/${id}/join`));
+  const start = id => run(`start-${id}`, () => postOnce(API + `/api/tournaments/${id}/start`));
+  function abort(id) {
+    const reason = window.prompt('Abort reason (every buy-in is refunded)', 'admin_abort');
+    if (reason === null) return;
+    return run(`abort-${id}`, () => postOnce(API + `/api/admin/tournaments/${id}/abort`, { reason }));
+  }
+
+  return (
+    <div>
+      <h3>Tournaments</h3>
+      {error && <div style={{ color: 'red' }}>{error}</div>}
+      {me?.is_admin && (
+        <form onSubmit={create} style={{ fontSize: 12 }}>
+          <input placeholder="name" value={form.name} onChange={e => setForm({ ...form, name: e.target.value })} />
+          {['buy_in', 'wheel_size', 'advance_per_wheel'].map(k => (
+            <label key={k}> {k} <input type="number" min="0" value={form[k]} style={{ width: 60 }}
+              onChange={e => setForm({ ...form, [k]: e.target.value })} /></label>
+          ))}
+          <input placeholder="payout % e.g. 60,25,15" value={form.payout_table} style={{ width: 120 }}
+            onChange={e => setForm({ ...form, payout_table: e.target.value })} />
+          <button type="submit" disabled={!!busy || !form.name}>Create tournament</button>
+        </form>
+      )}
+      <ul>
+        {tournaments.map(t => (
+          <li key={t.id}>
+            <strong>{t.name}</strong> — {t.status}{t.status === 'running' && ` (round ${t.current_round})`} — buy-in {t.buy_in},
+            {' '}{t.entrants} entrants, prize pool {t.prize_pool}
+            {' '}<button onClick={() => setSelected(t.id)}>Bracket</button>
+            {t.status === 'registering' && <button onClick={() => join(t.id)} disabled={!!busy}>Join</button>}
+            {me?.is_admin && t.status === 'registering' && <button onClick={() => start(t.id)} disabled={!!busy}>Start</button>}
+            {me?.is_admin && ['registering', 'running'].includes(t.status) && <button onClick={() => abort(t.id)} disabled={!!busy}>Abort</button>}
+          </li>
+        ))}
+      </ul>
+      {bracket && <Bracket bracket={bracket} onWatchWheel={onWatchWheel} onClose={() => setSelected(null)} />}
+    </div>
+  );
+}
+
+function Bracket({ bracket, onWatchWheel, onClose }) {
+  const { tournament: t, entries, rounds } = bracket;
+  const winners = entries.filter(e => e.final_place);
+  return (
+    <div style={{ border: '1px solid #ccc', padding: 8 }}>
+      <h4 style={{ marginTop: 0 }}>
+        {t.name} — {t.status}{t.abort_reason && ` (${t.abort_reason})`} <button onClick={onClose}>Close</button>
+      </h4>
+      <div style={{ fontSize: 12 }}>
+        {t.entrants} entrants, wheels of up to {t.wheel_size}, top {t.advance_per_wheel} of each advance, prize pool {t.prize_pool}
+      </div>
+      <div style={{ display: 'flex', gap: 16, overflowX: 'auto' }}>
+        {rounds.map(r => (
+          <div key={r.round}>
+            <h5>Round {r.round}{r.wheels.length === 1 && ' (final)'}</h5>
+            {r.wheels.map(w => (
+              <div key={w.id} style={{ border: '1px solid #eee', marginBottom: 6, padding: 4, fontSize: 12 }}>
+                <a href="#" onClick={e => { e.preventDefault(); onWatchWheel(w.id); }}>Wheel #{w.id}</a> — {w.status}
+                <ol style={{ margin: 0, paddingLeft: 18 }}>
+                  {w.players.map(p => (
+                    <li key={p.user_id} style={{ fontWeight: p.advanced ? 'bold' : 'normal', color: p.final_place == null || p.advanced || r.wheels.length === 1 ? 'inherit' : '#999' }}>
+                      {p.username}{p.advanced && ' →'}
+                    </li>
+                  ))}
+                </ol>
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+      {winners.length > 0 && (
+        <ol>
+          {winners.map(e => <li key={e.user_id}>{e.username}{e.payout > 0 && ` — ${e.payout} coins`}</li>)}
+        </ol>
+      )}
+    </div>
+  );
+}
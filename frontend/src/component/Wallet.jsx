@@ -0,0 +1,110 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { API } from '../api';
+
+const EMPTY_FILTERS = { type: '', kind: '', wheel: '', from: '', to: '' };
+const KINDS = ['join', 'refund', 'payout', 'adjustment', 'opening_balance'];
+
+// only the filters that are set, with dates as ISO strings; the server's `to`
+// is exclusive, so the picked end day is included by sending the next midnight
+function params(filters) {
+  const p = {};
+  for (const [k, v] of Object.entries(filters)) {
+    if (v === '') continue;
+    if (k === 'from') p.from = new Date(v).toISOString();
+    else if (k === 'to') p.to = new Date(new Date(v).getTime() + 86400000).toISOString();
+    else p[k] = v;
+  }
+  return p;
+}
+
+/**
+ * Wallet page: the signed-in user's transaction history
+ * (GET /api/users/:id/transactions) with filters, paging by cursor and
+ * CSV / JSON export. Reloaded when a wheel the user may be in finishes.
+ */
+export default function Wallet({ socket, me }) {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [applied, setApplied] = useState(EMPTY_FILTERS);
+  const [rows, setRows] = useState([]);
+  const [nextBefore, setNextBefore] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const reload = () => load(null);
+    reload();
+    ['wheelFinished', 'wheelAborted'].forEach(e => socket.on(e, reload));
+    return () => ['wheelFinished', 'wheelAborted'].forEach(e => socket.off(e, reload));
+  }, [applied]);
+
+  async function load(before) {
+    try {
+      const r = await axios.get(API + `/api/users/${me.id}/transactions`, { params: { ...params(applied), before: before || undefined } });
+      setRows(rs => before ? [...rs, ...r.data.transactions] : r.data.transactions);
+      setNextBefore(r.data.nextBefore);
+      setError(null);
+    } catch (err) { setError(err.response?.data?.error || err.message); }
+  }
+
+  async function exportAs(format) {
+    try {
+      const r = await axios.get(API + `/api/users/${me.id}/transactions/export`, { params: { ...params(applied), format }, responseType: 'blob' });
+      const url = URL.createObjectURL(r.data);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `transactions.${format}`;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      // the error body is a Blob as well
+      const body = err.response ? await err.response.data.text().then(JSON.parse).catch(() => null) : null;
+      setError(body?.error || err.message);
+    }
+  }
+
+  function apply(e) {
+    e.preventDefault();
+    setApplied(filters);
+  }
+
+  return (
+    <div style={{ border: '1px solid #999', padding: 10, marginBottom: 20 }}>
+      <h2>Wallet</h2>
+      <form onSubmit={apply} style={{ fontSize: 12 }}>
+        <select value={filters.type} onChange={e => setFilters({ ...filters, type: e.target.value })}>
+          <option value="">credits and debits</option>
+          <option value="credit">credits</option>
+          <option value="debit">debits</option>
+        </select>
+        <select value={filters.kind} onChange={e => setFilters({ ...filters, kind: e.target.value })}>
+          <option value="">any kind</option>
+          {KINDS.map(k => <option key={k} value={k}>{k}</option>)}
+        </select>
+        <input type="number" min="1" placeholder="wheel #" value={filters.wheel} style={{ width: 70 }}
+          onChange={e => setFilters({ ...filters, wheel: e.target.value })} />
+        from <input type="date" value={filters.from} onChange={e => setFilters({ ...filters, from: e.target.value })} />
+        to <input type="date" value={filters.to} onChange={e => setFilters({ ...filters, to: e.target.value })} />
+        <button type="submit">Filter</button>
+        <button type="button" onClick={() => { setFilters(EMPTY_FILTERS); setApplied(EMPTY_FILTERS); }}>Clear</button>
+        <button type="button" onClick={() => exportAs('csv')}>Export CSV</button>
+        <button type="button" onClick={() => exportAs('json')}>Export JSON</button>
+      </form>
+      {error && <div style={{ color: 'red' }}>{error}</div>}
+      <table style={{ fontSize: 14 }}>
+        <thead><tr><th>when</th><th>what</th><th style={{ textAlign: 'right' }}>amount</th><th style={{ textAlign: 'right' }}>balance</th></tr></thead>
+        <tbody>
+          {rows.map(t => (
+            <tr key={t.id}>
+              <td>{new Date(t.created_at).toLocaleString()}</td>
+              <td>{t.reason}</td>
+              <td style={{ textAlign: 'right', color: t.amount < 0 ? '#c00' : '#080' }}>{t.amount > 0 ? `+${t.amount}` : t.amount}</td>
+              <td style={{ textAlign: 'right' }}>{t.balance_after}</td>
+            </tr>
+          ))}
+          {!rows.length && <tr><td colSpan={4}>No transactions</td></tr>}
+        </tbody>
+      </table>
+      {nextBefore && <button onClick={() => load(nextBefore)}>Load more</button>}
+    </div>
+  );
+}
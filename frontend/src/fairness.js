@@ -0,0 +1,44 @@
+// Browser re-implementation of backend/src/fairness.js on top of Web Crypto,
+// so spin results can be checked without trusting the server.
+
+const enc = new TextEncoder();
+
+function toHex(buf) {
+  return [...new Uint8Array(buf)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+export async function sha256Hex(text) {
+  return toHex(await crypto.subtle.digest("SHA-256", enc.encode(text)));
+}
+
+export async function hmacHex(key, message) {
+  const k = await crypto.subtle.importKey("raw", enc.encode(key), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  return toHex(await crypto.subtle.sign("HMAC", k, enc.encode(String(message))));
+}
+
+// Same mapping as deterministicSpinIndex on the server
+export async function spinIndex(serverSeed, nonce, segments) {
+  const h = await hmacHex(serverSeed, nonce);
+  const num = parseInt(h.slice(0, 15), 16);
+  const totalWeight = segments.reduce((s, seg) => s + (seg.weight || 1), 0);
+  const pick = num % totalWeight;
+  let acc = 0;
+  for (let i = 0; i < segments.length; i++) {
+    acc += segments[i].weight || 1;
+    if (pick < acc) return i;
+  }
+  return segments.length - 1;
+}
+
+// Same as combineSpinInput on the server: client seeds in join order + nonce
+export function combineSpinInput(clientSeeds, nonce) {
+  return `${clientSeeds.join(",")}:${nonce}`;
+}
+
+export function randomClientSeed() {
+  return toHex(crypto.getRandomValues(new Uint8Array(16)));
+}
+
+export function uniformIndex(serverSeed, nonce, count) {
+  return spinIndex(serverSeed, nonce, new Array(count).fill({ weight: 1 }));
+}
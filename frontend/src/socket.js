@@ -1,3 +1,7 @@
 import { io } from 'socket.io-client';
 const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || 'http://localhost:4000';
-export const socket = io(SOCKET_URL, { autoConnect: false });
+// token is read at connect time so a fresh login is picked up on reconnect
+export const socket = io(SOCKET_URL, {
+  autoConnect: false,
+  auth: (cb) => cb({ token: localStorage.getItem('token') }),
+});
@@ -0,0 +1,50 @@
+// Client copy of one wheel's state, seeded by the server's 'wheel:state'
+// snapshot and advanced by seq-numbered wheel events.
+
+export const WHEEL_EVENTS = ['wheelOpened', 'participantJoined', 'participantLeft', 'userEliminated', 'wheelStarted', 'wheelFinished', 'wheelAborted'];
+
+// true when `payload` is not the next event after `state` (something was missed)
+export function hasGap(state, payload){
+  return !!state && payload.wheelId === state.wheelId && payload.seq > state.seq + 1;
+}
+
+export function applyWheelEvent(state, event, p){
+  // other wheels' events and ones already reflected in the snapshot are ignored
+  if(!state || p.wheelId !== state.wheelId || p.seq <= state.seq) return state;
+  const next = {...state, seq: p.seq};
+  switch(event){
+    case 'wheelOpened':
+      next.status = 'pending';
+      next.opensAt = null;
+      return next;
+    case 'participantJoined':
+    case 'participantLeft':
+      next.participants = p.participants.filter(x=> !x.eliminated_at);
+      return next;
+    case 'userEliminated': {
+      const out = state.participants.find(x=> x.user_id === p.user_id) || {user_id: p.user_id};
+      next.participants = state.participants.filter(x=> x.user_id !== p.user_id);
+      next.eliminated = [...state.eliminated, {...out, username: p.username, eliminated_order: p.round, eliminated_at: p.eliminatedAt}];
+      next.nextEliminationAt = p.nextEliminationAt;
+      return next;
+    }
+    case 'wheelStarted':
+      next.status = 'active';
+      next.nextEliminationAt = p.nextEliminationAt;
+      return next;
+    case 'wheelFinished':
+      next.status = 'finished';
+      next.standings = p.standings || [];
+      next.winnerUserId = p.winnerUserId;
+      next.nextEliminationAt = null;
+      return next;
+    case 'wheelAborted':
+      next.status = 'aborted';
+      next.abortReason = p.reason;
+      next.refundPolicy = p.policy;
+      next.nextEliminationAt = null;
+      return next;
+    default:
+      return next;
+  }
+}
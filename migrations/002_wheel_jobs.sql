@@ -0,0 +1,9 @@
+-- Durable timers: every pending deadline for a wheel (auto-start, next elimination)
+-- is stored here so a restarted backend can re-arm it.
+CREATE TABLE IF NOT EXISTS wheel_jobs (
+  wheel_id INTEGER REFERENCES spin_wheels(id) ON DELETE CASCADE,
+  kind TEXT NOT NULL, -- autostart, eliminate
+  run_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMP DEFAULT now(),
+  PRIMARY KEY (wheel_id, kind)
+);
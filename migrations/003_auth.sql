@@ -0,0 +1,3 @@
+-- Password logins. Seeded users have no password until one is set with
+-- `npm run set-password -- <username> <password>` in backend/.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS password_hash TEXT;
@@ -0,0 +1,17 @@
+-- Commit–reveal for the elimination game: the seed stays secret until the wheel
+-- finishes or aborts; only server_seed_hash is published before that.
+ALTER TABLE spin_wheels ADD COLUMN IF NOT EXISTS server_seed TEXT;
+ALTER TABLE spin_wheels ADD COLUMN IF NOT EXISTS server_seed_hash TEXT;
+
+-- One row per elimination round: the candidates still in (ordered by participant
+-- id), the HMAC drawn for the round and which candidate it picked.
+CREATE TABLE IF NOT EXISTS elimination_proofs (
+  wheel_id INTEGER REFERENCES spin_wheels(id) ON DELETE CASCADE,
+  round INTEGER NOT NULL, -- = nonce = eliminated_order of the eliminated user
+  candidates JSONB NOT NULL, -- user ids still in, ordered by participant id
+  hmac TEXT NOT NULL, -- HMAC-SHA256(server_seed, round)
+  pick_index INTEGER NOT NULL,
+  eliminated_user_id INTEGER REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT now(),
+  PRIMARY KEY (wheel_id, round)
+);
@@ -0,0 +1,54 @@
+-- Double-entry ledger. Every coin movement is a posting whose entries sum to 0.
+-- Accounts are addressed by code:
+--   user:<user_id>     player wallet (users.coins mirrors its balance)
+--   escrow:<wheel_id>  entry fees held while a wheel runs
+--   host:<user_id>     admin/host share of finished wheels
+--   house              app share of finished wheels
+--   external           coins entering/leaving the system (opening balances, deposits)
+CREATE TABLE IF NOT EXISTS ledger_accounts (
+  id SERIAL PRIMARY KEY,
+  code TEXT UNIQUE NOT NULL,
+  kind TEXT NOT NULL, -- user, escrow, host, house, external
+  user_id INTEGER REFERENCES users(id),
+  wheel_id INTEGER REFERENCES spin_wheels(id),
+  balance BIGINT NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS ledger_postings (
+  id SERIAL PRIMARY KEY,
+  kind TEXT NOT NULL, -- opening_balance, join, refund, payout
+  wheel_id INTEGER REFERENCES spin_wheels(id),
+  meta JSONB,
+  created_at TIMESTAMP DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS ledger_entries (
+  id SERIAL PRIMARY KEY,
+  posting_id INTEGER NOT NULL REFERENCES ledger_postings(id),
+  account_id INTEGER NOT NULL REFERENCES ledger_accounts(id),
+  amount BIGINT NOT NULL -- positive = credit to the account, negative = debit
+);
+CREATE INDEX IF NOT EXISTS ledger_entries_account_idx ON ledger_entries(account_id);
+
+INSERT INTO ledger_accounts (code, kind) VALUES ('house','house'), ('external','external')
+ON CONFLICT (code) DO NOTHING;
+
+-- Open a wallet account for every existing user, carrying over users.coins as an
+-- opening balance funded from 'external'.
+DO $$
+DECLARE pid INTEGER;
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM ledger_postings WHERE kind='opening_balance') THEN
+    INSERT INTO ledger_accounts (code, kind, user_id)
+      SELECT 'user:'||id, 'user', id FROM users
+      ON CONFLICT (code) DO NOTHING;
+    INSERT INTO ledger_postings (kind, meta) VALUES ('opening_balance', '{"reason":"migration"}') RETURNING id INTO pid;
+    INSERT INTO ledger_entries (posting_id, account_id, amount)
+      SELECT pid, a.id, u.coins FROM users u JOIN ledger_accounts a ON a.code='user:'||u.id WHERE u.coins<>0;
+    INSERT INTO ledger_entries (posting_id, account_id, amount)
+      SELECT pid, a.id, -COALESCE((SELECT SUM(coins) FROM users),0) FROM ledger_accounts a WHERE a.code='external';
+    UPDATE ledger_accounts a SET balance = u.coins FROM users u WHERE a.code='user:'||u.id;
+    UPDATE ledger_accounts SET balance = -COALESCE((SELECT SUM(coins) FROM users),0) WHERE code='external';
+  END IF;
+END $$;
@@ -0,0 +1,52 @@
+-- Stored responses for client-supplied idempotency keys (see backend/src/idempotency.js).
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  user_id INTEGER REFERENCES users(id),
+  key TEXT NOT NULL,
+  scope TEXT NOT NULL, -- "<METHOD> <url>" the key was first used for
+  status_code INTEGER, -- null while the first request is still running
+  response JSONB,
+  created_at TIMESTAMP DEFAULT now(),
+  PRIMARY KEY (user_id, key)
+);
+CREATE INDEX IF NOT EXISTS idempotency_keys_created_idx ON idempotency_keys(created_at);
+
+-- One participation per user per wheel. Duplicate rows from before this
+-- migration keep the earliest join. The extra fee of a duplicate in a wheel
+-- that is still running is refunded from its escrow (a 'refund' posting, as
+-- ledger.post writes it); duplicates in aborted wheels were already refunded
+-- row by row. Fees of duplicates in finished wheels have been paid out, so
+-- those stop the migration for an operator to settle by hand.
+DO $$
+DECLARE d RECORD; pid INTEGER; esc INTEGER; usr INTEGER;
+BEGIN
+  IF EXISTS (SELECT 1 FROM spin_participants a JOIN spin_wheels w ON w.id=a.wheel_id
+      WHERE w.status='finished' AND EXISTS (SELECT 1 FROM spin_participants b
+        WHERE b.wheel_id=a.wheel_id AND b.user_id=a.user_id AND b.id < a.id)) THEN
+    RAISE EXCEPTION 'duplicate spin_participants in finished wheels: settle their fees and delete the later rows, then re-run this migration';
+  END IF;
+  FOR d IN SELECT a.id, a.wheel_id, a.user_id, w.entry_fee FROM spin_participants a JOIN spin_wheels w ON w.id=a.wheel_id
+      WHERE w.status<>'aborted' AND w.entry_fee > 0 AND EXISTS (SELECT 1 FROM spin_participants b
+        WHERE b.wheel_id=a.wheel_id AND b.user_id=a.user_id AND b.id < a.id)
+      ORDER BY a.id
+  LOOP
+    SELECT id INTO esc FROM ledger_accounts WHERE code='escrow:'||d.wheel_id AND balance >= d.entry_fee FOR UPDATE;
+    IF esc IS NULL THEN
+      RAISE EXCEPTION 'escrow of wheel % cannot refund duplicate participant %', d.wheel_id, d.id;
+    END IF;
+    INSERT INTO ledger_accounts (code, kind, user_id) VALUES ('user:'||d.user_id, 'user', d.user_id)
+      ON CONFLICT (code) DO NOTHING;
+    SELECT id INTO usr FROM ledger_accounts WHERE code='user:'||d.user_id FOR UPDATE;
+    INSERT INTO ledger_postings (kind, wheel_id, meta)
+      VALUES ('refund', d.wheel_id, jsonb_build_object('reason','duplicate_participant','participant',d.id))
+      RETURNING id INTO pid;
+    INSERT INTO ledger_entries (posting_id, account_id, amount) VALUES (pid, esc, -d.entry_fee), (pid, usr, d.entry_fee);
+    UPDATE ledger_accounts SET balance = balance - d.entry_fee WHERE id=esc;
+    UPDATE ledger_accounts SET balance = balance + d.entry_fee WHERE id=usr;
+    UPDATE users SET coins = coins + d.entry_fee WHERE id=d.user_id;
+    INSERT INTO transactions (user_id, amount, type, meta)
+      VALUES (d.user_id, d.entry_fee, 'credit', jsonb_build_object('wheel',d.wheel_id,'reason','duplicate_participant','posting',pid));
+  END LOOP;
+  DELETE FROM spin_participants a USING spin_participants b
+    WHERE a.wheel_id=b.wheel_id AND a.user_id=b.user_id AND a.id > b.id;
+END $$;
+CREATE UNIQUE INDEX IF NOT EXISTS spin_participants_wheel_user_idx ON spin_participants(wheel_id, user_id);
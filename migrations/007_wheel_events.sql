@@ -0,0 +1,12 @@
+-- Sequence-numbered per-wheel event log, used to replay events to clients that
+-- reconnect ("resume from seq N").
+ALTER TABLE spin_wheels ADD COLUMN IF NOT EXISTS event_seq INTEGER NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS wheel_events (
+  wheel_id INTEGER REFERENCES spin_wheels(id) ON DELETE CASCADE,
+  seq INTEGER NOT NULL,
+  event TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  created_at TIMESTAMP DEFAULT now(),
+  PRIMARY KEY (wheel_id, seq)
+);
@@ -0,0 +1,8 @@
+-- Per-wheel ownership for multi-node deployments: only the node holding a live
+-- lease arms and runs a wheel's jobs. Leases are renewed while the node is up;
+-- an expired lease lets another node take the wheel over.
+CREATE TABLE IF NOT EXISTS wheel_leases (
+  wheel_id INTEGER PRIMARY KEY REFERENCES spin_wheels(id) ON DELETE CASCADE,
+  node_id TEXT NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL
+);
@@ -0,0 +1,10 @@
+-- Per-wheel game rules (validated by backend/src/rules.js). Defaults match the
+-- previous hard-coded behaviour: 180 s lobby, one elimination every 7 s.
+ALTER TABLE spin_wheels ADD COLUMN IF NOT EXISTS lobby_seconds INTEGER NOT NULL DEFAULT 180;
+ALTER TABLE spin_wheels ADD COLUMN IF NOT EXISTS elimination_interval_ms INTEGER NOT NULL DEFAULT 7000;
+-- each round's interval is the previous one times this factor (1 = constant),
+-- never dropping below min_elimination_interval_ms
+ALTER TABLE spin_wheels ADD COLUMN IF NOT EXISTS elimination_acceleration NUMERIC NOT NULL DEFAULT 1;
+ALTER TABLE spin_wheels ADD COLUMN IF NOT EXISTS min_elimination_interval_ms INTEGER NOT NULL DEFAULT 1000;
+ALTER TABLE spin_wheels ADD COLUMN IF NOT EXISTS max_participants INTEGER; -- null = unlimited
+ALTER TABLE spin_wheels ADD COLUMN IF NOT EXISTS eliminations_per_round INTEGER NOT NULL DEFAULT 1;
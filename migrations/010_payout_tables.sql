@@ -0,0 +1,6 @@
+-- Tiered payouts: the winner pool is split by finishing position according to
+-- the wheel's payout table (percentages for place 1, 2, ...; must sum to 100).
+ALTER TABLE spin_wheels ADD COLUMN IF NOT EXISTS payout_table JSONB NOT NULL DEFAULT '[100]';
+-- final standing, written when the wheel finishes (1 = winner)
+ALTER TABLE spin_participants ADD COLUMN IF NOT EXISTS final_place INTEGER;
+ALTER TABLE spin_participants ADD COLUMN IF NOT EXISTS payout BIGINT NOT NULL DEFAULT 0;
@@ -0,0 +1,30 @@
+-- Per-wheel chat with moderation (see backend/src/chat.js).
+CREATE TABLE IF NOT EXISTS chat_messages (
+  id SERIAL PRIMARY KEY,
+  wheel_id INTEGER NOT NULL REFERENCES spin_wheels(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  body TEXT NOT NULL, -- stored after blocklist filtering
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  deleted_at TIMESTAMPTZ, -- set when a moderator removes the message
+  deleted_by INTEGER REFERENCES users(id)
+);
+CREATE INDEX IF NOT EXISTS chat_messages_wheel_idx ON chat_messages(wheel_id, id);
+
+-- mute = may watch but not post; ban = removed from the wheel room entirely.
+-- until NULL = no expiry.
+CREATE TABLE IF NOT EXISTS chat_sanctions (
+  wheel_id INTEGER NOT NULL REFERENCES spin_wheels(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  kind TEXT NOT NULL CHECK (kind IN ('mute','ban')),
+  until TIMESTAMPTZ,
+  created_by INTEGER REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (wheel_id, user_id, kind)
+);
+
+-- words masked in chat messages (case-insensitive, whole words)
+CREATE TABLE IF NOT EXISTS chat_blocklist (
+  word TEXT PRIMARY KEY
+);
+INSERT INTO chat_blocklist (word) VALUES ('fuck'), ('shit'), ('bitch'), ('cunt'), ('asshole')
+ON CONFLICT (word) DO NOTHING;
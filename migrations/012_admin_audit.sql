@@ -0,0 +1,12 @@
+-- Audit trail of admin console actions (balance adjustments, fee split changes,
+-- forced starts, aborts). Balance adjustments are also ledger postings of kind
+-- 'adjustment' between the user's wallet and 'external'.
+CREATE TABLE IF NOT EXISTS admin_audit (
+  id SERIAL PRIMARY KEY,
+  admin_id INTEGER NOT NULL REFERENCES users(id),
+  action TEXT NOT NULL, -- balance_adjust, fee_split, wheel_force_start, wheel_abort
+  target TEXT, -- e.g. user:5, wheel:12, config
+  details JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS admin_audit_created_idx ON admin_audit(created_at);
@@ -0,0 +1,11 @@
+-- What each participant paid and how it was split into the wheel's pools at
+-- join time, so a player leaving (or a refund policy) can reverse exactly that
+-- even if the fee split changed since. NULL on rows from before this migration:
+-- those fall back to the wheel's entry_fee with no recorded shares.
+ALTER TABLE spin_participants ADD COLUMN IF NOT EXISTS paid_fee BIGINT;
+ALTER TABLE spin_participants ADD COLUMN IF NOT EXISTS winner_share BIGINT;
+ALTER TABLE spin_participants ADD COLUMN IF NOT EXISTS admin_share BIGINT;
+ALTER TABLE spin_participants ADD COLUMN IF NOT EXISTS app_share BIGINT;
+-- how an aborted wheel was refunded (full | keep_fees)
+ALTER TABLE spin_wheels ADD COLUMN IF NOT EXISTS abort_reason TEXT;
+ALTER TABLE spin_wheels ADD COLUMN IF NOT EXISTS refund_policy TEXT;
@@ -0,0 +1,21 @@
+-- Scheduled and recurring wheels.
+-- A wheel with starts_at is 'scheduled' (visible, not joinable) until opens_at
+-- (= starts_at - lobby_seconds), then 'pending' until it starts at starts_at.
+-- The scheduler's 'open' job flips it; see wheel_jobs.
+CREATE TABLE IF NOT EXISTS wheel_templates (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  owner_id INTEGER NOT NULL REFERENCES users(id),
+  entry_fee BIGINT NOT NULL,
+  rules JSONB NOT NULL, -- validated rule fields (backend/src/rules.js)
+  every_minutes INTEGER NOT NULL CHECK (every_minutes > 0),
+  next_start_at TIMESTAMPTZ NOT NULL, -- start time of the next wheel to instantiate
+  announce_minutes INTEGER NOT NULL DEFAULT 15, -- listed as upcoming this long before it opens
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+ALTER TABLE spin_wheels ADD COLUMN IF NOT EXISTS starts_at TIMESTAMPTZ;
+ALTER TABLE spin_wheels ADD COLUMN IF NOT EXISTS opens_at TIMESTAMPTZ;
+ALTER TABLE spin_wheels ADD COLUMN IF NOT EXISTS template_id INTEGER REFERENCES wheel_templates(id);
+CREATE UNIQUE INDEX IF NOT EXISTS spin_wheels_template_start_idx ON spin_wheels(template_id, starts_at);
@@ -0,0 +1,36 @@
+-- Tournaments: rounds of chained wheels. Every entrant pays the buy-in into the
+-- tournament's prize pool (ledger account 'tournament:<id>'); round wheels are
+-- free to enter and their top `advance_per_wheel` places move on to the next
+-- round, until a round fits into one wheel, whose standings are paid out of
+-- the prize pool by `payout_table`. See backend/src/tournaments.js.
+CREATE TABLE IF NOT EXISTS tournaments (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  owner_id INTEGER NOT NULL REFERENCES users(id),
+  buy_in BIGINT NOT NULL CHECK (buy_in >= 0),
+  wheel_size INTEGER NOT NULL, -- most players per round wheel
+  advance_per_wheel INTEGER NOT NULL, -- places of each wheel that reach the next round
+  rules JSONB NOT NULL, -- rule fields of the round wheels (backend/src/rules.js)
+  payout_table JSONB NOT NULL DEFAULT '[100]', -- prize pool split of the final
+  prize_pool BIGINT NOT NULL DEFAULT 0,
+  status TEXT NOT NULL DEFAULT 'registering', -- registering, running, finished, aborted
+  current_round INTEGER NOT NULL DEFAULT 0,
+  abort_reason TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  finished_at TIMESTAMPTZ
+);
+
+CREATE TABLE IF NOT EXISTS tournament_entries (
+  tournament_id INTEGER NOT NULL REFERENCES tournaments(id),
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  buy_in BIGINT NOT NULL,
+  out_in_round INTEGER, -- null while still in the tournament
+  final_place INTEGER, -- set for the final wheel's players
+  payout BIGINT,
+  joined_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (tournament_id, user_id)
+);
+
+ALTER TABLE spin_wheels ADD COLUMN IF NOT EXISTS tournament_id INTEGER REFERENCES tournaments(id);
+ALTER TABLE spin_wheels ADD COLUMN IF NOT EXISTS tournament_round INTEGER;
+CREATE INDEX IF NOT EXISTS spin_wheels_tournament_idx ON spin_wheels(tournament_id, tournament_round);
@@ -0,0 +1,30 @@
+-- Player statistics and leaderboards (backend/src/stats.js). Totals are added
+-- incrementally when a wheel or tournament finishes; the stats_recorded flags
+-- make that happen once. `npm run rebuild-stats` recomputes everything from
+-- spin_participants and transactions (run it once after this migration).
+CREATE TABLE IF NOT EXISTS player_stats (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id),
+  games_played INTEGER NOT NULL DEFAULT 0,
+  wins INTEGER NOT NULL DEFAULT 0,
+  place_sum BIGINT NOT NULL DEFAULT 0, -- average finishing position = place_sum / games_played
+  net_coins BIGINT NOT NULL DEFAULT 0, -- payouts minus entry fees and buy-ins
+  current_streak INTEGER NOT NULL DEFAULT 0, -- > 0: consecutive wins, < 0: consecutive losses
+  best_win_streak INTEGER NOT NULL DEFAULT 0,
+  last_played_at TIMESTAMPTZ
+);
+
+-- per UTC day, for the daily and weekly leaderboards
+CREATE TABLE IF NOT EXISTS player_stats_daily (
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  day DATE NOT NULL,
+  games_played INTEGER NOT NULL DEFAULT 0,
+  wins INTEGER NOT NULL DEFAULT 0,
+  place_sum BIGINT NOT NULL DEFAULT 0,
+  net_coins BIGINT NOT NULL DEFAULT 0,
+  PRIMARY KEY (user_id, day)
+);
+CREATE INDEX IF NOT EXISTS player_stats_daily_day_idx ON player_stats_daily(day);
+
+ALTER TABLE spin_wheels ADD COLUMN IF NOT EXISTS stats_recorded BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE tournaments ADD COLUMN IF NOT EXISTS stats_recorded BOOLEAN NOT NULL DEFAULT FALSE;
+CREATE INDEX IF NOT EXISTS transactions_user_idx ON transactions(user_id, id);
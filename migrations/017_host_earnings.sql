@@ -0,0 +1,24 @@
+-- Hosts' shares of wheel fees are paid straight into their wallets now. Move
+-- whatever earlier wheels left on host:<user_id> accounts into user:<user_id>
+-- with one 'payout' posting per host (as ledger.post writes it), so nothing
+-- stays parked where no route can reach it.
+DO $$
+DECLARE h RECORD; pid INTEGER; usr INTEGER;
+BEGIN
+  FOR h IN SELECT id, user_id, balance FROM ledger_accounts WHERE kind='host' AND balance<>0 ORDER BY code FOR UPDATE
+  LOOP
+    INSERT INTO ledger_accounts (code, kind, user_id) VALUES ('user:'||h.user_id, 'user', h.user_id)
+      ON CONFLICT (code) DO NOTHING;
+    SELECT id INTO usr FROM ledger_accounts WHERE code='user:'||h.user_id FOR UPDATE;
+    INSERT INTO ledger_postings (kind, meta)
+      VALUES ('payout', jsonb_build_object('role','admin','reason','host_account_closed'))
+      RETURNING id INTO pid;
+    INSERT INTO ledger_entries (posting_id, account_id, amount) VALUES (pid, h.id, -h.balance), (pid, usr, h.balance);
+    UPDATE ledger_accounts SET balance = balance - h.balance WHERE id=h.id;
+    UPDATE ledger_accounts SET balance = balance + h.balance WHERE id=usr;
+    UPDATE users SET coins = coins + h.balance WHERE id=h.user_id;
+    INSERT INTO transactions (user_id, amount, type, meta)
+      VALUES (h.user_id, h.balance, CASE WHEN h.balance > 0 THEN 'credit' ELSE 'debit' END,
+        jsonb_build_object('role','admin','reason','host_account_closed','posting',pid));
+  END LOOP;
+END $$;